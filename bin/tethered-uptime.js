@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+const { Tethered, TetheredValidationError } = require('../index.js');
+
+/* Exit codes, so the tool can be used from shell scripts */
+const EXIT_CODES = {
+    OK      : 0,
+    FAILED  : 1,
+    USAGE   : 2
+};
+
+const USAGE = `Usage: tethered-uptime <command> [options]
+
+Commands:
+  daemon                         Run the scheduler (cron or interval) until stopped
+  push-status [code] [time]      Send a status update, defaults to 200 and 0
+  push-metric <key> <value>      Send a single metric, supports --label, --type and --widget
+  snapshot                       Print the current system resource snapshot
+  monitors                       List the monitors linked to your account
+  incidents                      List incidents, supports --page
+  incident create                Create an incident, requires --title and --description, supports --source and --status
+
+Options:
+  --config <file>                JSON or JS configuration file, defaults to TETHERED_CONFIG
+  --apikey <key>                 Tethered API key, overrides the configuration file and TETHERED_APIKEY
+  --monitor <id>                 Monitor ID, overrides the configuration file and TETHERED_MONITOR_ID
+  --json                         Print results as JSON
+  --help                         Show this message
+
+Other TETHERED_* environment variables are also read, see the README for the full list
+`;
+
+/* Options which never take a value, so they can't swallow the positional argument after them */
+const BOOLEAN_OPTIONS = ['json', 'help'];
+
+/**
+ * Parse command line arguments into positional values and options
+ *
+ * Supports "--key value", "--key=value" and boolean "--flag" options. Options in BOOLEAN_OPTIONS never take the next argument as their value
+ *
+ * @param array argv The arguments, without the node binary and script path
+ *
+ * @return object
+ */
+function parseArgs(argv){
+    const args = { positional : [], options : {} };
+
+    for(let index = 0; index < argv.length; index++){
+        const arg = argv[index];
+        if(arg.startsWith('--')){
+            const parts = arg.substring(2).split('=');
+            const key = parts.shift();
+            if(parts.length){
+                args.options[key] = parts.join('=');
+            } else if(!BOOLEAN_OPTIONS.includes(key) && index + 1 < argv.length && !argv[index + 1].startsWith('--')){
+                args.options[key] = argv[++index];
+            } else {
+                args.options[key] = true;
+            }
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Read an option as a whole number, at or above the minimum
+ *
+ * @param any value The option value, true when the option was passed without one
+ * @param number minimum The lowest accepted value
+ *
+ * @return number|bool The number, or false if the value is not valid
+ */
+function integerOption(value, minimum){
+    return typeof value === 'string' && /^\d+$/.test(value.trim()) && parseInt(value) >= minimum ? parseInt(value) : false;
+}
+
+/**
+ * Build the configuration for this run, from the command line options
+ *
+ * The configuration file and environment variables are loaded by the instance itself, 
+ * strict validation is always enabled so problems stop the command early
+ *
+ * @param object options The parsed command line options
+ *
+ * @return object
+ */
+function loadConfig(options){
+    const config = {
+        strictConfig : true
+    };
+
+    if(options.config){
+        config.configFile = `${options.config}`;
+    }
+
+    if(options.apikey){
+        config.apikey = `${options.apikey}`;
+    }
+
+    if(options.monitor){
+        config.monitorId = parseInt(options.monitor);
+    }
+
+    return config;
+}
+
+/**
+ * Create the instance for this run, reporting configuration problems as usage errors
+ *
+ * @param object config The configuration to use
+ * @param bool json Whether to print as JSON
+ *
+ * @return TetheredUptime|bool
+ */
+function create(config, json){
+    try {
+        return new Tethered(config);
+    } catch (ex) {
+        fail(ex, json, EXIT_CODES.USAGE);
+    }
+    return false;
+}
+
+/**
+ * Print a result, either as JSON or as readable text
+ *
+ * @param any result The result to print
+ * @param bool json Whether to print as JSON
+ * @param string message Readable message, used when not printing JSON
+ *
+ * @return void
+ */
+function output(result, json, message){
+    if(json){
+        console.log(JSON.stringify(result));
+    } else if(typeof message !== 'undefined'){
+        console.log(message);
+    } else {
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
+
+/**
+ * Print an error to stderr, and set the exit code
+ *
+ * @param any error The error to report
+ * @param bool json Whether to print as JSON
+ * @param number code The exit code to use
+ *
+ * @return void
+ */
+function fail(error, json, code){
+    const message = error instanceof Error ? error.message : (error instanceof Object ? JSON.stringify(error) : `${error}`);
+    if(json){
+        const details = { error : message };
+        if(error instanceof Error && error.status){
+            details.status = error.status;
+            details.body = error.body;
+        }
+        console.error(JSON.stringify(details));
+    } else {
+        console.error(`Tethered: ${message}`);
+    }
+    process.exitCode = code;
+}
+
+/**
+ * Handle an API response, treating non 2xx statuses as failures
+ *
+ * @param object response The response from the API
+ * @param bool json Whether to print as JSON
+ * @param string message Readable message, used when not printing JSON
+ *
+ * @return void
+ */
+function respond(response, json, message){
+    if(response && response.status >= 200 && response.status < 300){
+        output(response, json, message);
+        process.exitCode = EXIT_CODES.OK;
+    } else {
+        if(json){
+            console.log(JSON.stringify(response));
+        }
+        fail(`Request failed (${response ? response.status : 0})`, json, EXIT_CODES.FAILED);
+    }
+}
+
+function main(){
+    const args = parseArgs(process.argv.slice(2));
+    const command = args.positional.shift();
+    const json = !!args.options.json;
+
+    if(!command || args.options.help || command === 'help'){
+        process.stdout.write(USAGE);
+        process.exitCode = command || args.options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        return;
+    }
+
+    const config = loadConfig(args.options);
+
+    if(command === 'daemon'){
+        const uptime = create(config, json);
+        if(!uptime){
+            return;
+        }
+
+        if(uptime.configuration.logMode === Tethered.LOG_MODES.DISABLED){
+            /* Daemons log to the console (as JSON lines with --json), unless the configuration says otherwise */
+            uptime.configure({ logMode : json ? Tethered.LOG_MODES.JSON : Tethered.LOG_MODES.OUTPUT });
+        }
+
+        if(!uptime.ready){
+            fail("API key or monitor ID is missing from configuration", json, EXIT_CODES.USAGE);
+            uptime.destroy();
+            return;
+        }
+
+        if(!uptime.isRunning()){
+            fail("Daemon requires cron or interval mode", json, EXIT_CODES.USAGE);
+            uptime.destroy();
+            return;
+        }
+
+        if(uptime.configuration.shutdown.handleSignals){
+            /* The instance shuts down gracefully and exits by itself */
+            return;
+        }
+
+        const stop = () => {
+            uptime.destroy();
+            process.exit(EXIT_CODES.OK);
+        };
+
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        return;
+    }
+
+    /* One shot commands never schedule */
+    config.mode = Tethered.MODE_TYPES.MANUAL;
+    const uptime = create(config, json);
+    if(!uptime){
+        return;
+    }
+
+    let task;
+    switch(command){
+        case 'push-status':
+            task = uptime.pushStatus(parseInt(args.positional[0]) || undefined, parseInt(args.positional[1]) || undefined).then((response) => {
+                respond(response, json, `Status sent (${response.status})`);
+            });
+            break;
+        case 'push-metric':
+            if(args.positional.length < 2 || isNaN(parseFloat(args.positional[1]))){
+                fail("Usage: push-metric <key> <value>", json, EXIT_CODES.USAGE);
+                break;
+            }
+
+            task = uptime.pushMetric(args.positional[0], parseFloat(args.positional[1]), args.options.label, args.options.type, args.options.widget).then((response) => {
+                respond(response, json, `Metric sent (${response.status})`);
+            });
+            break;
+        case 'snapshot':
+            task = uptime.snapshot().then((snapshot) => {
+                output(snapshot, json);
+                process.exitCode = EXIT_CODES.OK;
+            });
+            break;
+        case 'monitors':
+            task = uptime.getMonitors().then((response) => {
+                respond(response, json);
+            });
+            break;
+        case 'incidents':
+            if(typeof args.options.page !== 'undefined' && integerOption(args.options.page, 1) === false){
+                fail("--page must be a positive integer", json, EXIT_CODES.USAGE);
+                break;
+            }
+
+            task = uptime.getIncidents(typeof args.options.page !== 'undefined' ? integerOption(args.options.page, 1) : undefined).then((response) => {
+                respond(response, json);
+            });
+            break;
+        case 'incident':
+            if(args.positional[0] !== 'create' || !args.options.title || !args.options.description){
+                fail("Usage: incident create --title <title> --description <description>", json, EXIT_CODES.USAGE);
+                break;
+            }
+
+            if(typeof args.options.status !== 'undefined' && !Object.values(Tethered.INCIDENT_STATUS).includes(integerOption(args.options.status, 0))){
+                fail(`--status must be one of ${Object.values(Tethered.INCIDENT_STATUS).join(', ')}`, json, EXIT_CODES.USAGE);
+                break;
+            }
+
+            task = uptime.pushIncident(`${args.options.title}`, `${args.options.description}`, args.options.source, typeof args.options.status !== 'undefined' ? integerOption(args.options.status, 0) : undefined).then((response) => {
+                respond(response, json, `Incident created (${response.status})`);
+            });
+            break;
+        default:
+            fail(`Unknown command '${command}'`, json, EXIT_CODES.USAGE);
+    }
+
+    if(!task){
+        uptime.destroy();
+        return;
+    }
+
+    task.catch((error) => {
+        /* Validation errors from the API itself (4xx) are failures, only problems caught before sending are usage errors */
+        fail(error, json, error instanceof TetheredValidationError && !error.status ? EXIT_CODES.USAGE : EXIT_CODES.FAILED);
+    }).finally(() => {
+        uptime.destroy();
+    });
+}
+
+main();
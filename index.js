@@ -1,12 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const nodeOs = require('os');
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const nodeHttp = require('http');
+const dgram = require('dgram');
+const nodeCluster = require('cluster');
+const workerThreads = require('worker_threads');
+const { monitorEventLoopDelay, PerformanceObserver } = require('perf_hooks');
 const os = require('os-utils');
 const nodeDiskInfo = require('node-disk-info');
-const { CronJob } = require('cron');
+const { CronJob, CronTime } = require('cron');
+
+/**
+ * Base error for anything rejected by the module
+ * 
+ * API errors carry the response status, the endpoint and the parsed response body. Status is 0 when no response was received
+ */
+class TetheredError extends Error {
+    /**
+     * @param string message The error message
+     * @param object details Optional details, any of status, endpoint, body, retryAfter, cause and errors
+     */
+    constructor(message, details){
+        details = details instanceof Object ? details : {};
+        super(message, details.cause ? { cause : details.cause } : undefined);
+
+        this.name = this.constructor.name;
+        this.status = details.status || 0;
+        this.endpoint = details.endpoint || false;
+        this.body = typeof details.body !== 'undefined' ? details.body : null;
+
+        if(typeof details.retryAfter !== 'undefined'){
+            this.retryAfter = details.retryAfter;
+        }
+
+        if(details.errors instanceof Array){
+            this.errors = details.errors;
+        }
+    }
+}
+
+/* The API key was rejected (401), or does not have access to the resource (403) */
+class TetheredAuthError extends TetheredError {}
+
+/* The API rate limited the request (429), see retryAfter for the suggested delay in seconds */
+class TetheredRateLimitError extends TetheredError {}
+
+/* No response was received, because of a connection problem, a timeout (timeout is true) or the request being aborted (aborted is true) */
+class TetheredNetworkError extends TetheredError {}
+
+/* The request was invalid, either rejected by the API (4xx) or caught before it was sent, like missing fields or invalid configuration */
+class TetheredValidationError extends TetheredError {}
 
 class TetheredUptime { 
     /* API details */
     static API_URL       = "https://tethered.app/app/api";
     static API_VERSION   = 1;
 
+    /* The longest delay supported by setTimeout and setInterval, in milliseconds. Longer delays overflow and fire straight away */
+    static MAX_DELAY = 2147483647;
+
     /* Supported mode types  */
     static MODE_TYPES = {
         CRON     : 1,
@@ -22,10 +77,17 @@ class TetheredUptime {
 
     /* Supported resource flags we can monitor */
     static METRIC_FLAGS = {
-        CPU      : 1,
-        MEMORY   : 2,
-        LOAD     : 3,
-        DRIVE    : 4
+        CPU        : 1,
+        MEMORY     : 2,
+        LOAD       : 3,
+        DRIVE      : 4,
+        EVENT_LOOP : 5,
+        HEAP       : 6,
+        RSS        : 7,
+        EXTERNAL   : 8,
+        GC         : 9,
+        HANDLES    : 10,
+        CONTAINER  : 11
     };
 
     /* Logging modes */
@@ -33,7 +95,48 @@ class TetheredUptime {
         DISABLED : 1,
         INTERNAL : 2,
         OUTPUT : 3,
-        CUSTOM : 4
+        CUSTOM : 4,
+        JSON : 5
+    }
+
+    /* Log levels, records below the configured level are skipped */
+    static LOG_LEVELS = {
+        DEBUG : 1,
+        INFO : 2,
+        WARN : 3,
+        ERROR : 4
+    }
+
+    /* Supported probe types, which check a target and report the result as a status */
+    static PROBE_TYPES = {
+        HTTP     : 1,
+        TCP      : 2,
+        DNS      : 3,
+        TLS      : 4
+    };
+
+    /* Incident statuses */
+    static INCIDENT_STATUS = {
+        ONGOING  : 0,
+        RESOLVED : 1
+    };
+
+    /* Offline queue storage types */
+    static QUEUE_STORAGE = {
+        MEMORY : 1,
+        DISK : 2
+    }
+
+    /* Cluster roles, detected automatically unless set in the cluster options */
+    static CLUSTER_ROLES = {
+        PRIMARY : 1,
+        WORKER : 2
+    }
+
+    /* How the cluster primary merges the metrics reported by workers */
+    static CLUSTER_MERGE = {
+        SUM : 1,
+        WORKER : 2
     }
 
     /**
@@ -46,13 +149,45 @@ class TetheredUptime {
     constructor(config){
         this.configure(config);
 
+        this.queue = [];
+        this._queueWaiters = new Map();
+        this.restoreQueue();
+
+        this.registry = {};
+        this.statsdKeys = new Set();
+        this.ruleState = {};
+        this.jobs = {};
+        this.targetState = {};
+
+        this._schedules = {};
+        this._jitter = {};
+        this._active = {};
+        this._inflight = [];
+        this._rescheduling = false;
+        this._scrapeCache = false;
+
+        this.resetHttp();
+        this.resetHttpStatus();
+
+        this.observeRuntime();
+        this.startSampling();
+        this.startExporter();
+        this.startStatsd();
+        this.startCluster();
+        this.startSignals();
+
         this.ready = false;
-        if(this.configuration.apikey && this.configuration.monitorId){
+        if(this.configuration.apikey && (this.configuration.monitorId || Object.keys(this.configuration.monitors).length)){
             this.ready = true;
             this.trigger('ready');
             this.log("Configuration complete");
+
+            if(this.queue.length){
+                /* Replay anything left over from a previous run */
+                this.flushQueue();
+            }
         } else {
-            this.log("API key or monitor ID is missing from configuration");
+            this.log("API key or monitor ID is missing from configuration", TetheredUptime.LOG_LEVELS.WARN);
         }
 
         this.schedule();
@@ -64,574 +199,5402 @@ class TetheredUptime {
      * Supported options: 
      * - apikey       : Tethered API key, located in the account information section on tethered
      * - monitorId    : The monitor id that you are sending data for, must be owned by the API key associated
+     * - monitors     : Additional named monitors, reported for by the same instance. Each has an id, and optionally its own syncFlags, metricFlags 
+     *                  and probes. See monitor method docs
      * - mode         : The default mode to run in, cron, interval or manual. See static variables 
      * - syncFlags    : The data types you'd like to send on sync. We recommend all, for machine monitors, and metrics only for other monitors like URL, PORT, etc
      * - metricFlags  : The system resources you'd like to monitor, you can still send manual resources, but these are included, see static variables
      * - cronTime     : If using cron mode, you can set a cron timing target
      * - cronTimezone : If using cron mode, you can alter the target timezone
-     * - intervalTime : If using interval mode, you can set the target interval 
+     * - intervalTime : If using interval mode, you can set the target interval, in seconds or as a duration like '15m'
+     * - schedules    : Independent schedules for the status and metrics tasks, each with an 'every' duration or 'cron' expression. Tasks without
+     *                  their own schedule run on the shared cron or interval. See schedule method docs
+     * - jitter       : Maximum random delay before each scheduled run, in seconds or as a duration like '30s'. Defaults to 0
      * - modifiers    : If you need to mutate/add to our internal datasets you can use modifiers to listen for data and return your own. 
      *                  Object of key/value pairs, where key is event name, and value is either a callable function or an array of callable functions (if chaining is needed)
      * - events       : If you need to listen for our internal events, you can pass your listeners in here as part of the init call. 
      *                  Object of key/value pairs, where key is event name, and value is either a callable function or an array of callable functions (if chaining is needed)
      * - logMode      : The log mode you want to use for the instance, defaults to disabled. See log mode static variable
-     * - logger       : If you have logMode set to "custom" you can pass a custom callback here to replace/funnel logs to your own logger instead 
+     * - logLevel     : The minimum level to log, defaults to info. See log level static variable
+     * - logBuffer    : The number of records kept in internal log mode, oldest are dropped first. Defaults to 1000
+     * - logger       : If you have logMode set to "custom" you can pass a custom callback, or a logger with debug/info/warn/error methods 
+     *                  (like pino, winston or console), to replace/funnel logs to your own logger instead 
+     * - sampling     : Local sampling options, snapshots are taken between syncs and sent as aggregates when enabled. See sampling method docs
+     * - http         : HTTP server instrumentation options, used by the express, koa and instrument middleware. See middleware method docs
+     * - rules        : List of threshold rules, which open and resolve incidents automatically based on metric values. See rule method docs
+     * - probes       : List of probe definitions, which check HTTP, TCP, DNS or TLS targets on each sync and push the result as a status. See probe method docs
+     * - queue        : Offline queue options, failed pushes are spooled and replayed with backoff when enabled. See queue method docs
+     * - targets      : List of Prometheus/OpenMetrics targets, which are scraped on each metrics push and added to the list. See target method docs
+     * - prometheus   : Local Prometheus exporter options, serves the metrics list over HTTP when enabled. See exporter method docs
+     * - statsd       : StatsD listener options, packets are aggregated between syncs and added to the metrics list when enabled. See StatsD method docs
+     * - batch        : Batching options for pushMetric, calls within the window are sent as a single list when enabled. See batch method docs
+     * - rateLimit    : Client-side rate limiter options, requests over the limit are delayed when enabled. See throttle method docs
+     * - cluster      : Cluster mode options, only the primary reports host resources and status when enabled. See cluster method docs
+     * - shutdown     : Graceful shutdown options, including whether to handle termination signals. See shutdown method docs
+     * - timeout      : Seconds before a request to the API is aborted, defaults to 30. Set to 0 to disable
+     * - configFile   : Path to a JSON or JS configuration file, loaded on initialization. Can also be set with the TETHERED_CONFIG environment variable
+     * - strictConfig : Throw when the configuration is invalid, instead of only triggering the 'configuration.invalid' event
      * 
      * Stores directly to instance, and keys must be predefined in the default configuration object
      * 
+     * On initialization, options are loaded from the configuration file first, then TETHERED_* environment variables, then the config object passed in, 
+     * with later sources taking priority. Every option is validated, invalid options are not applied, and all problems are reported together 
+     * 
+     * Can be called again after initialization, in which case options are merged into the current configuration, and a running scheduler is 
+     * rebuilt if any of the timing options (mode, cronTime, cronTimezone, intervalTime, schedules, jitter) changed. The same applies to the sampler, 
+     * Prometheus exporter, StatsD listener, cluster mode and shutdown signal handlers
+     * 
      * @param object config Configuration options, which override the defaults if provided
      * 
      * @return void
      */
     configure(config){
-        this.logs = [];
+        const initial = typeof this.configuration === 'undefined';
+        if(initial){
+            this.logs = [];
 
-        this.hooks = {
-            modifiers : {},
-            events : {}
-        };
+            this.hooks = {
+                modifiers : {},
+                events : {}
+            };
 
-        this.configuration = {
-            apikey        : false,
-            monitorId    : 0,
-            mode         : TetheredUptime.MODE_TYPES.CRON,
-            syncFlags    : [TetheredUptime.SYNC_FLAGS.STATUS, TetheredUptime.SYNC_FLAGS.METRICS],
-            metricFlags  : [TetheredUptime.METRIC_FLAGS.CPU, TetheredUptime.METRIC_FLAGS.MEMORY, TetheredUptime.METRIC_FLAGS.LOAD, TetheredUptime.METRIC_FLAGS.DRIVE],
-            cronTime     : "0 * * * *",
-            cronTimezone : "America/Los_Angeles",
-            intervalTime : 3600,
-            modifiers    : {},
-            events       : {},
-            logMode      : TetheredUptime.LOG_MODES.DISABLED,
-            logger       : false
-        };
+            this.configuration = {
+                apikey        : false,
+                monitorId    : 0,
+                monitors     : {},
+                mode         : TetheredUptime.MODE_TYPES.CRON,
+                syncFlags    : [TetheredUptime.SYNC_FLAGS.STATUS, TetheredUptime.SYNC_FLAGS.METRICS],
+                metricFlags  : [TetheredUptime.METRIC_FLAGS.CPU, TetheredUptime.METRIC_FLAGS.MEMORY, TetheredUptime.METRIC_FLAGS.LOAD, TetheredUptime.METRIC_FLAGS.DRIVE],
+                cronTime     : "0 * * * *",
+                cronTimezone : "America/Los_Angeles",
+                intervalTime : 3600,
+                schedules    : {
+                    status  : false,
+                    metrics : false
+                },
+                jitter       : 0,
+                modifiers    : {},
+                events       : {},
+                logMode      : TetheredUptime.LOG_MODES.DISABLED,
+                logLevel     : TetheredUptime.LOG_LEVELS.INFO,
+                logBuffer    : 1000,
+                logger       : false,
+                sampling     : {
+                    enabled    : false,
+                    interval   : 60,
+                    aggregates : ['min', 'max', 'p95']
+                },
+                http         : {
+                    routes      : true,
+                    status      : false,
+                    errorRate   : 5,
+                    percentiles : ['p50', 'p95', 'p99']
+                },
+                rules        : [],
+                probes       : [],
+                targets      : [],
+                queue        : {
+                    enabled       : false,
+                    storage       : TetheredUptime.QUEUE_STORAGE.MEMORY,
+                    path          : "tethered-queue.jsonl",
+                    maxSize       : 1000,
+                    maxAge        : 86400,
+                    retryDelay    : 5,
+                    maxRetryDelay : 300
+                },
+                prometheus : {
+                    enabled : false,
+                    port    : 9464,
+                    host    : "127.0.0.1",
+                    path    : "/metrics",
+                    prefix  : "tethered_",
+                    cache   : 15
+                },
+                statsd : {
+                    enabled     : false,
+                    port        : 8125,
+                    host        : "127.0.0.1",
+                    prefix      : "",
+                    percentiles : ['p50', 'p95', 'p99'],
+                    maxKeys     : 1000
+                },
+                batch : {
+                    enabled : false,
+                    window  : 1,
+                    size    : 50
+                },
+                rateLimit : {
+                    enabled  : false,
+                    requests : 60,
+                    interval : 60,
+                    maxQueue : 100
+                },
+                cluster : {
+                    enabled  : false,
+                    role     : false,
+                    merge    : TetheredUptime.CLUSTER_MERGE.SUM,
+                    interval : 15,
+                    port     : false
+                },
+                shutdown : {
+                    handleSignals : false,
+                    signals       : ['SIGTERM', 'SIGINT'],
+                    timeout       : 10,
+                    status        : false,
+                    incident      : false,
+                    path          : "tethered-deploy.json",
+                    exit          : true
+                },
+                timeout      : 30,
+                configFile   : false,
+                strictConfig : false
+            };
+        }
+
+        const timing = this.timingSignature();
+        const sampling = JSON.stringify(this.configuration.sampling);
+        const exporter = JSON.stringify(this.configuration.prometheus);
+        const statsd = JSON.stringify(this.configuration.statsd);
+        const cluster = JSON.stringify(this.configuration.cluster);
+        const signals = JSON.stringify(this.configuration.shutdown);
+        const queue = JSON.stringify(this.configuration.queue);
+        const errors = [];
+
+        const sources = [];
+        if(initial){
+            const file = config instanceof Object && config.configFile ? config.configFile : process.env.TETHERED_CONFIG;
+            if(file){
+                const loaded = this.loadConfigFile(file, errors);
+                if(loaded){
+                    sources.push(loaded);
+                }
+            }
+
+            sources.push(this.environmentConfig(errors));
+        }
 
         if(typeof config !== 'undefined' && config instanceof Object){
-            for(let key in config){
-                if(typeof this.configuration[key] !== 'undefined'){
-                    if(key === 'events' || key === 'modifiers'){
-                        /* Attempting to pre-link hooks as part of the initialization call */
-                        if(config[key] instanceof Object){
-                            for(let hookName in config[key]){
-                                const hookValue = config[key][hookName];
-                                if(typeof hookValue === 'function'){
-                                    /* Single function passed, just add it to the list */
+            sources.push(config);
+        }
+
+        /* Validate every source before anything is applied, so a strict failure leaves the instance untouched */
+        let strict = this.configuration.strictConfig;
+        for(let source of sources){
+            this.applyConfiguration(source, errors, true);
+            if(typeof source.strictConfig === 'boolean'){
+                strict = source.strictConfig;
+            }
+        }
+
+        const report = () => {
+            this.log(`Configuration invalid: ${errors.join('; ')}`, TetheredUptime.LOG_LEVELS.WARN, { event : 'configuration.invalid' });
+            this.trigger('configuration.invalid', errors);
+        };
+
+        if(errors.length && strict){
+            report();
+            throw new TetheredValidationError(`Configuration invalid: ${errors.join('; ')}`, { errors : errors });
+        }
+
+        for(let source of sources){
+            /* Problems were already collected above */
+            this.applyConfiguration(source, []);
+        }
+
+        if(errors.length){
+            /* Reported after applying, so loggers and listeners from the same call receive it */
+            report();
+        }
+
+        this.trigger('configured', this.configuration);
+
+        if(!initial && this.ready && !this._rescheduling && timing !== this.timingSignature()){
+            /* Timing options changed on a live instance, apply them now. This also starts the scheduler when moving out of manual mode */
+            this.reschedule();
+        }
+
+        if(!initial && sampling !== JSON.stringify(this.configuration.sampling)){
+            /* Restart the sampler, so the new interval is used. Samples taken so far are discarded */
+            this.stopSampling();
+            this.startSampling();
+        }
+
+        if(!initial && exporter !== JSON.stringify(this.configuration.prometheus)){
+            /* Restart the exporter, so it listens on the new address */
+            this.stopExporter();
+            this.startExporter();
+        }
+
+        if(!initial && statsd !== JSON.stringify(this.configuration.statsd)){
+            /* Restart the listener, so it binds to the new address */
+            this.stopStatsd();
+            this.startStatsd();
+        }
+
+        if(!initial && cluster !== JSON.stringify(this.configuration.cluster)){
+            /* Restart cluster mode, so the role and reporting interval are applied */
+            this.stopCluster();
+            this.startCluster();
+        }
+
+        if(!initial && queue !== JSON.stringify(this.configuration.queue) && this.restoreQueue() && this.ready){
+            /* The queue was enabled, or moved to another file, and picked up payloads left by a previous run */
+            this.flushQueue();
+        }
+
+        if(!initial && signals !== JSON.stringify(this.configuration.shutdown)){
+            /* Register the signal handlers again, so the new signals are handled */
+            this.stopSignals();
+            this.startSignals();
+        }
+    }
+
+    /**
+     * Apply a single source of configuration options to the instance 
+     * 
+     * Each option is validated before it is stored, problems are added to the errors list and the option is skipped
+     * 
+     * @param object config Configuration options
+     * @param array errors List to add any problems to
+     * @param bool validateOnly Only collect the problems, without storing options or linking hooks
+     * 
+     * @return void
+     */
+    applyConfiguration(config, errors, validateOnly){
+        for(let key in config){
+            if(typeof this.configuration[key] === 'undefined'){
+                errors.push(`Unknown configuration option '${key}'`);
+                continue;
+            }
+
+            if(key === 'events' || key === 'modifiers'){
+                /* Attempting to pre-link hooks as part of the initialization call */
+                if(config[key] instanceof Object && !validateOnly){
+                    for(let hookName in config[key]){
+                        const hookValue = config[key][hookName];
+                        if(typeof hookValue === 'function'){
+                            /* Single function passed, just add it to the list */
+                            switch(key){
+                                case 'modifiers':
+                                    this.addModifier(hookName, hookValue);
+                                    break;
+                                case 'events':
+                                    this.listen(hookName, hookValue);
+                                    break;
+                            }
+                        } else if (hookValue instanceof Array){
+                            for(let hookCallable of hookValue){
+                                if(typeof hookCallable === 'function'){
                                     switch(key){
                                         case 'modifiers':
-                                            this.addModifier(hookName, hookValue);
+                                            this.addModifier(hookName, hookCallable);
                                             break;
                                         case 'events':
-                                            this.listen(hookName, hookValue);
+                                            this.listen(hookName, hookCallable);
                                             break;
                                     }
-                                } else if (hookValue instanceof Array){
-                                    for(let hookCallable of hookValue){
-                                        if(typeof hookCallable === 'function'){
-                                            switch(key){
-                                                case 'modifiers':
-                                                    this.addModifier(hookName, hookCallable);
-                                                    break;
-                                                case 'events':
-                                                    this.listen(hookName, hookCallable);
-                                                    break;
-                                            }
-                                        }
-                                    }
                                 }
                             }
                         }
+                    }
+                }
 
 
-                    } else if((this.configuration[key] instanceof Object) && !(this.configuration[key] instanceof Array)){
-                        /* Objects (that are not arrays), are replaced in steps */
-                        if(config[key] instanceof Object){
-                            for(let subKey in config[key]){
-                                const subVal = config[key][subKey];
-                                if(typeof this.configuration[key][subKey] !== 'undefined'){
-                                    this.configuration[key][subKey] = subVal;
-                                }
+            } else if((this.configuration[key] instanceof Object) && !(this.configuration[key] instanceof Array) && key !== 'logger' && key !== 'monitors'){
+                /* Objects (that are not arrays, logger instances or the monitor map), are replaced in steps */
+                if(config[key] instanceof Object){
+                    for(let subKey in config[key]){
+                        const subVal = config[key][subKey];
+                        if(typeof this.configuration[key][subKey] !== 'undefined'){
+                            const problem = this.validateOption(`${key}.${subKey}`, subVal);
+                            if(problem){
+                                errors.push(problem);
+                            } else if(!validateOnly){
+                                this.configuration[key][subKey] = subVal;
                             }
+                        } else {
+                            errors.push(`Unknown configuration option '${key}.${subKey}'`);
                         }
-                    } else {
-                        /* Arrays and standard keys are replaced */
-                        this.configuration[key] = config[key];
                     }
+                } else {
+                    errors.push(`'${key}' must be an object`);
+                }
+            } else {
+                /* Arrays and standard keys are replaced. Numeric strings were always accepted for the monitor ID, so they are converted */
+                const value = key === 'monitorId' && typeof config[key] === 'string' && /^\d+$/.test(config[key].trim()) ? parseInt(config[key]) : config[key];
+                const problem = this.validateOption(key, value);
+                if(problem){
+                    errors.push(problem);
+                } else if(!validateOnly){
+                    this.configuration[key] = value;
                 }
             }
         }
-
-        this.trigger('configured', this.configuration);
     }
 
     /**
-     * Set the primry monitor that you are running this instance for 
+     * Validate a single configuration option
      * 
-     * Usually, you'd set this at instance creation, but you can alter it later
+     * Nested options are named with a dot, for example 'queue.storage'
      * 
-     * @param number id The monitor id to target
+     * @param string name The option name
+     * @param any value The value to validate
      * 
-     * @return void
+     * @return string|bool The problem found, or false if the value is valid
      */
-    setMonitor(id){
-        if(this.ready){
-            this.configuration.monitorId = parseInt(id);
+    validateOption(name, value){
+        const describe = (map) => Object.keys(map).map((key) => `${key} (${map[key]})`).join(', ');
+        const oneOf = (map) => Object.values(map).includes(value) ? false : `must be one of ${describe(map)}`;
+        const listOf = (map) => value instanceof Array && value.every((item) => Object.values(map).includes(item)) ? false : `must be an array containing any of ${describe(map)}`;
+        const bool = () => typeof value === 'boolean' ? false : "must be true or false";
+        const positive = () => typeof value === 'number' && value > 0 ? false : "must be a positive number";
+        const nonNegative = () => typeof value === 'number' && value >= 0 ? false : "must be a number, 0 or above";
+        const delay = (check) => check() || this.delayProblem(value);
+        const timeouts = (list) => list.some((item) => typeof item.timeout !== 'undefined' && !(typeof item.timeout === 'number' && item.timeout > 0 && !this.delayProblem(item.timeout))) ? "must use a positive timeout, in seconds and no longer than 24 days" : false;
+        const aggregates = () => value instanceof Array && value.every((item) => /^(min|max|avg|sum|count|p\d+(\.\d+)?)$/.test(item)) ? false : "must be an array of aggregates, like 'max' or 'p95'";
+
+        let problem = false;
+        switch(name){
+            case 'apikey':
+                problem = value === false || (typeof value === 'string' && value.length) ? false : "must be a non-empty string";
+                break;
+            case 'monitorId':
+                problem = Number.isInteger(value) && value >= 0 ? false : "must be a positive integer";
+                break;
+            case 'monitors':
+                if(!(value instanceof Object) || value instanceof Array){
+                    problem = "must be an object of named monitors";
+                } else {
+                    for(let monitorName in value){
+                        const monitor = value[monitorName];
+                        if(!(monitor instanceof Object) || !Number.isInteger(monitor.id) || monitor.id <= 0){
+                            problem = `'${monitorName}' must have a positive integer id`;
+                        } else {
+                            /* The per monitor options are checked the same way as the top level options they override */
+                            for(let option of ['syncFlags', 'metricFlags', 'probes']){
+                                const nested = typeof monitor[option] !== 'undefined' ? this.validateOption(option, monitor[option]) : false;
+                                if(nested){
+                                    problem = `'${monitorName}' ${nested}`;
+                                    break;
+                                }
+                            }
+                        }
+
+                        if(problem){
+                            break;
+                        }
+                    }
+                }
+                break;
+            case 'mode':
+                problem = oneOf(TetheredUptime.MODE_TYPES);
+                break;
+            case 'syncFlags':
+                problem = listOf(TetheredUptime.SYNC_FLAGS);
+                break;
+            case 'metricFlags':
+                problem = listOf(TetheredUptime.METRIC_FLAGS);
+                break;
+            case 'cronTime':
+                try {
+                    new CronTime(value);
+                } catch (ex) {
+                    problem = `must be a valid cron expression (${ex.message})`;
+                }
+                break;
+            case 'cronTimezone':
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone : value });
+                } catch (ex) {
+                    problem = "must be a valid timezone, like 'America/Los_Angeles'";
+                }
+                break;
+            case 'intervalTime':
+                problem = this.parseDuration(value) > 0 ? this.delayProblem(value) : "must be a positive duration, in seconds or with a unit like '60s', '15m' or '1h'";
+                break;
+            case 'jitter':
+                problem = this.parseDuration(value) >= 0 ? this.delayProblem(value) : "must be a duration, in seconds or with a unit like '30s'";
+                break;
+            case 'schedules.status':
+            case 'schedules.metrics':
+                problem = value === false ? false : this.scheduleProblem(value);
+                break;
+            case 'sampling.interval':
+                problem = delay(positive);
+                break;
+            case 'modifiers':
+            case 'events':
+                problem = value instanceof Object ? false : "must be an object";
+                break;
+            case 'logMode':
+                problem = oneOf(TetheredUptime.LOG_MODES);
+                break;
+            case 'logLevel':
+                problem = oneOf(TetheredUptime.LOG_LEVELS);
+                break;
+            case 'logBuffer':
+                problem = Number.isInteger(value) && value > 0 ? false : "must be a positive integer";
+                break;
+            case 'logger':
+                problem = value === false || typeof value === 'function' || (value instanceof Object && typeof value.info === 'function') ? false : "must be a function, or a logger with debug, info, warn and error methods";
+                break;
+            case 'sampling.enabled':
+            case 'http.routes':
+            case 'http.status':
+            case 'queue.enabled':
+            case 'prometheus.enabled':
+            case 'statsd.enabled':
+            case 'batch.enabled':
+            case 'rateLimit.enabled':
+            case 'cluster.enabled':
+            case 'shutdown.handleSignals':
+            case 'shutdown.incident':
+            case 'shutdown.exit':
+            case 'strictConfig':
+                problem = bool();
+                break;
+            case 'sampling.aggregates':
+            case 'http.percentiles':
+            case 'statsd.percentiles':
+                problem = aggregates();
+                break;
+            case 'http.errorRate':
+                problem = typeof value === 'number' && value >= 0 && value <= 100 ? false : "must be a percentage, between 0 and 100";
+                break;
+            case 'rules':
+                problem = value instanceof Array && value.every((rule) => this.rule(rule)) ? false : "must be an array of valid rules, like 'cpu > 90 for 3'";
+                break;
+            case 'probes':
+                problem = value instanceof Array && value.every((probe) => probe instanceof Object && (typeof probe.type === 'undefined' || Object.values(TetheredUptime.PROBE_TYPES).includes(probe.type))) ? timeouts(value) : `must be an array of probe definitions, with a type of ${describe(TetheredUptime.PROBE_TYPES)}`;
+                break;
+            case 'targets':
+                problem = value instanceof Array && value.every((target) => target instanceof Object && /^https?:\/\//.test(`${target.url}`)) ? timeouts(value) : "must be an array of target definitions, each with a http(s) url";
+                break;
+            case 'queue.storage':
+                problem = oneOf(TetheredUptime.QUEUE_STORAGE);
+                break;
+            case 'queue.path':
+            case 'shutdown.path':
+                problem = typeof value === 'string' && value.length ? false : "must be a file path";
+                break;
+            case 'queue.maxSize':
+            case 'queue.maxAge':
+            case 'prometheus.cache':
+                problem = nonNegative();
+                break;
+            case 'queue.retryDelay':
+            case 'queue.maxRetryDelay':
+            case 'rateLimit.interval':
+            case 'cluster.interval':
+                problem = delay(positive);
+                break;
+            case 'batch.window':
+            case 'shutdown.timeout':
+            case 'timeout':
+                problem = delay(nonNegative);
+                break;
+            case 'batch.size':
+            case 'rateLimit.requests':
+            case 'rateLimit.maxQueue':
+            case 'statsd.maxKeys':
+                problem = Number.isInteger(value) && value > 0 ? false : "must be a positive integer";
+                break;
+            case 'prometheus.port':
+            case 'statsd.port':
+                problem = Number.isInteger(value) && value >= 0 && value <= 65535 ? false : "must be a port number, between 0 and 65535";
+                break;
+            case 'prometheus.host':
+            case 'statsd.host':
+                problem = typeof value === 'string' && value.length ? false : "must be a hostname or IP address";
+                break;
+            case 'prometheus.path':
+                problem = typeof value === 'string' && value.startsWith('/') ? false : "must be a path, starting with '/'";
+                break;
+            case 'cluster.role':
+                problem = value === false ? false : oneOf(TetheredUptime.CLUSTER_ROLES);
+                break;
+            case 'shutdown.signals':
+                problem = value instanceof Array && value.every((signal) => typeof signal === 'string' && typeof nodeOs.constants.signals[signal] !== 'undefined') ? false : "must be an array of signal names, like 'SIGTERM'";
+                break;
+            case 'shutdown.status':
+                problem = value === false || (Number.isInteger(value) && value >= 100 && value <= 599) ? false : "must be false, or a HTTP status code";
+                break;
+            case 'cluster.merge':
+                problem = oneOf(TetheredUptime.CLUSTER_MERGE);
+                break;
+            case 'cluster.port':
+                problem = value === false || (value instanceof Object && typeof value.postMessage === 'function') ? false : "must be false, or a MessagePort";
+                break;
+            case 'prometheus.prefix':
+                problem = typeof value === 'string' && /^([a-zA-Z_:][a-zA-Z0-9_:]*)?$/.test(value) ? false : "must be a valid Prometheus metric name prefix";
+                break;
+            case 'statsd.prefix':
+                problem = typeof value === 'string' ? false : "must be a string";
+                break;
+            case 'configFile':
+                problem = value === false || (typeof value === 'string' && value.length) ? false : "must be a file path";
+                break;
         }
+
+        return problem ? `'${name}' ${problem}` : false;
     }
 
     /**
-     * Schedule the automated modes to run when expected
+     * Load configuration options from a JSON or JS file
      * 
-     * This will only run if you are using a mode which runs automatically, like cron or interval 
+     * JS files (.js, .cjs) must export the configuration object, any other file is parsed as JSON
      * 
-     * If you instead use manual mode, this will not do anything as there is no automation to be configured 
+     * @param string file Path to the configuration file
+     * @param array errors List to add any problems to
      * 
-     * @return void
+     * @return object|bool
      */
-    schedule(){
-        if(this.ready) {
-            if(this.configuration.mode === TetheredUptime.MODE_TYPES.CRON){
-                const cronTime = this.configuration.cronTime || "0 * * * *";
-                const cronTimezone = this.configuration.cronTimezone || "America/Los_Angeles";
-                this._cron = new CronJob(
-                    cronTime,
-                    () => {
-                        this.trigger('schedule.tick');
-                        this.sync();
-                    }, 
-                    null,
-                    true, 
-                    cronTimezone
-                );
-
-                this.trigger('schedule.tick');
-                this.sync();
-
-                this.log(`Node cron scheduled to run at ${cronTime} (${cronTimezone})`);
-            } else if(this.configuration.mode === TetheredUptime.MODE_TYPES.INTERVAL){
-                const intervalTime = this.configuration.intervalTime || 3600;
-                this._interval = setInterval(() => {
-                    this.trigger('schedule.tick');
-                    this.sync();
-                }, intervalTime);
-
-                this.trigger('schedule.tick');
-                this.sync();
-
-                this.log(`Interval scheduled to run at ${intervalTime}`);
+    loadConfigFile(file, errors){
+        const resolved = path.resolve(`${file}`);
+        try {
+            let config;
+            if(/\.c?js$/.test(resolved)){
+                config = require(resolved);
             } else {
-                this.log(`Skipping scheduling, in manual mode`);
+                config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
             }
+
+            if(!(config instanceof Object)){
+                throw new Error("file must contain an object");
+            }
+
+            /* The file path itself is only read from the constructor or environment */
+            config = Object.assign({}, config);
+            delete config.configFile;
+
+            this.log(`Configuration loaded from ${resolved}`);
+            return config;
+        } catch (ex) {
+            errors.push(`Configuration file '${file}' could not be loaded (${ex.message})`);
         }
+        return false;
     }
 
     /**
-     * Sync all sync flags for the linked monitor
+     * Read configuration options from TETHERED_* environment variables
      * 
-     * This will call the 'metrics' and 'status' methods, meaning both the uptime and system resources are synced 
+     * Supported variables: TETHERED_APIKEY, TETHERED_MONITOR_ID, TETHERED_MODE, TETHERED_SYNC_FLAGS, TETHERED_METRIC_FLAGS, TETHERED_CRON_TIME, 
+     * TETHERED_CRON_TIMEZONE, TETHERED_INTERVAL_TIME, TETHERED_JITTER, TETHERED_LOG_MODE, TETHERED_LOG_LEVEL, TETHERED_TIMEOUT, TETHERED_CLUSTER and TETHERED_STRICT_CONFIG
      * 
-     * You will still need to log any additional resources using our event triggers (see config), which allow you to hook into this sync method for your
-     * own automation steps as/when needed
+     * Mode and flag variables accept names or values, for example TETHERED_MODE=interval or TETHERED_METRIC_FLAGS=cpu,memory,heap
      * 
-     * @return void
+     * @param array errors List to add any problems to
+     * 
+     * @return object
      */
-    sync(){
-        if(!this.ready){
-            return;
-        }
+    environmentConfig(errors){
+        const config = {};
+
+        const lookup = (map, value) => {
+            const name = `${value}`.trim().toUpperCase().replace(/[\s-]+/g, '_');
+            if(typeof map[name] !== 'undefined'){
+                return map[name];
+            }
+            return /^\d+$/.test(name) ? parseInt(name) : name;
+        };
 
-        if(this.configuration.syncFlags){
-            if(this.configuration.syncFlags.includes(TetheredUptime.SYNC_FLAGS.STATUS)){
-                /* Configured to send status updates */
-                this.pushStatus().then(() => {}).catch(() => {});
+        const variables = {
+            TETHERED_APIKEY : ['apikey', (value) => value],
+            TETHERED_MONITOR_ID : ['monitorId', (value) => /^\d+$/.test(value.trim()) ? parseInt(value) : value],
+            TETHERED_MODE : ['mode', (value) => lookup(TetheredUptime.MODE_TYPES, value)],
+            TETHERED_SYNC_FLAGS : ['syncFlags', (value) => value.split(',').map((flag) => lookup(TetheredUptime.SYNC_FLAGS, flag))],
+            TETHERED_METRIC_FLAGS : ['metricFlags', (value) => value.split(',').map((flag) => lookup(TetheredUptime.METRIC_FLAGS, flag))],
+            TETHERED_CRON_TIME : ['cronTime', (value) => value],
+            TETHERED_CRON_TIMEZONE : ['cronTimezone', (value) => value],
+            TETHERED_INTERVAL_TIME : ['intervalTime', (value) => isNaN(value) ? value : parseFloat(value)],
+            TETHERED_JITTER : ['jitter', (value) => isNaN(value) ? value : parseFloat(value)],
+            TETHERED_LOG_MODE : ['logMode', (value) => lookup(TetheredUptime.LOG_MODES, value)],
+            TETHERED_LOG_LEVEL : ['logLevel', (value) => lookup(TetheredUptime.LOG_LEVELS, value)],
+            TETHERED_TIMEOUT : ['timeout', (value) => parseFloat(value)],
+            TETHERED_CLUSTER : ['cluster', (value) => ({ enabled : ['1', 'true', 'yes'].includes(value.trim().toLowerCase()) })],
+            TETHERED_STRICT_CONFIG : ['strictConfig', (value) => ['1', 'true', 'yes'].includes(value.trim().toLowerCase())]
+        };
+
+        for(let variable in variables){
+            const value = process.env[variable];
+            if(typeof value === 'undefined' || value === ''){
+                continue;
             }
 
-            if(this.configuration.syncFlags.includes(TetheredUptime.SYNC_FLAGS.METRICS)){
-                /* Configured to send metrics */
-                this.pushMetrics().then(() => {}).catch(() => {});
+            const key = variables[variable][0];
+            const parsed = variables[variable][1](value);
+            const problem = this.validateOption(key, parsed);
+            if(problem){
+                errors.push(`Environment variable ${variable} is invalid, ${problem}`);
+            } else {
+                config[key] = parsed;
             }
         }
 
-        this.trigger('sync');
+        return config;
     }
 
     /**
-     * Send an uptime update via the API 
+     * Get a comparable signature of the configuration options which control scheduling 
      * 
-     * By default, it will be sent with a 200 status and a 0 time, but you can change these defaults with internal hooks 
+     * Used by configure to detect when a running scheduler needs to be rebuilt
      * 
-     * @param int code The status code to log
-     * @param int time The response/operation time to log
+     * @return string
+     */
+    timingSignature(){
+        const config = this.configuration;
+        return JSON.stringify([config.mode, config.cronTime, config.cronTimezone, config.intervalTime, config.schedules, config.jitter]);
+    }
+
+    /**
+     * Set the primry monitor that you are running this instance for 
      * 
-     * @return Promise
+     * Usually, you'd set this at instance creation, but you can alter it later
+     * 
+     * If the instance was only missing a monitor ID, it becomes ready, the offline queue is replayed, and the scheduler is started
+     * 
+     * @param number id The monitor id to target
+     * 
+     * @return void
      */
-    pushStatus(code, time){
-        return new Promise((resolve, reject) => {
-            if(this.ready){
-                const data = {
-                    apikey : this.configuration.apikey,
-                    id : this.configuration.monitorId,
-                    status : this.applyModifiers('status.code', code || 200),
-                    time : this.applyModifiers('status.time', time || 0)
-                };
-        
-                this.trigger('status');
-        
-                this.post('site/status', data).then((response) => {
-                    this.log(`Status request completed (${response.status})`);
-                    this.trigger('status.complete', response);
+    setMonitor(id){
+        if(this.ready){
+            this.configuration.monitorId = parseInt(id);
+        } else if(this.configuration.apikey && parseInt(id)){
+            this.configuration.monitorId = parseInt(id);
 
-                    resolve(response);
-                }).catch((error) => {
-                    this.log(`Status request failed:`);
-                    this.log(error);
+            this.ready = true;
+            this.trigger('ready');
+            this.log("Configuration complete");
 
-                    reject(error);
-                });
-            } else {
-                reject("Instance not ready");
+            if(this.queue.length){
+                /* Anything queued before the monitor was set can be sent now */
+                this.flushQueue();
             }
-        });
-        
+
+            this.schedule();
+        }
     }
 
     /**
-     * Log a custom metric to your site 
+     * Resolve a monitor override to a monitor ID 
      * 
-     * For one shot metrics users can call this one shot method instead of the automated metrics list method 
-     * 
-     * The alternative to this is to hook into the metrics methods instead and add to the list by returning additional metrics you want to log 
+     * Accepts a monitor ID, or the name of a monitor in the 'monitors' option. When nothing is passed, the configured monitorId is used
      * 
-     * @param string key The key slug for this metric
-     * @param number value The value of this metric
-     * @param string label The pretty printed label for this metric. Suffix can be passed as a quick tag, for example "Memory {{}}MB" would set :"MB" to be the suffix
-     * @param string|int type The type of metric you are storing. For example: counter, average, percentage etc
-     * @param string|int widget The type of widget you want to use for storage. For example: line, area, pie, donut, radar, heatmap
+     * @param number|string monitor The monitor ID or name
      * 
-     * @return Promise
+     * @return number The monitor ID, or 0 if it could not be resolved
      */
-    pushMetric(key, value, label, type, widget){
-        return new Promise((resolve, reject) => {
-            if(this.ready){
-                if(typeof key !== 'undefined' && typeof value !== 'undefined'){
-                    const data = {
-                        apikey : this.configuration.apikey,
-                        site : this.configuration.monitorId,
-                        key : key,
-                        value : value
-                    };
-        
-                    if(typeof label !== 'undefined'){
-                        data.label = label;
-                    }
-        
-                    if(typeof type !== 'undefined'){
-                        data.type = type;
-                    }
-        
-                    if(typeof widget !== 'undefined'){
-                        data.widget = widget;
-                    }
-        
-                    this.trigger('metrics');
-                    
-                    this.post('metrics/', data).then((response) => {
-                        this.log(`Metrics request completed (${response.status})`);
-                        this.trigger('metrics.complete', response);
+    resolveMonitor(monitor){
+        if(typeof monitor === 'undefined' || monitor === null || monitor === false || monitor === 0){
+            return this.configuration.monitorId;
+        }
 
-                        resolve(response);
-                    }).catch((error) => {
-                        this.log(`Metrics request failed:`);
-                        this.log(error);
+        const monitors = this.configuration.monitors || {};
+        if(typeof monitor === 'string' && monitors[monitor]){
+            return monitors[monitor].id;
+        }
 
-                        reject(error);
-                    });
-                } else {
-                    reject("Missing required fields 'key', 'value'");
-                }
-            } else {
-                reject("Instance not ready");
-            }
-        });
+        return /^\d+$/.test(`${monitor}`) ? parseInt(monitor) : 0;
     }
 
     /**
-     * Get the current system resource usage data 
-     * 
-     * This will call the snapshot method, and then filter the returned data after the fact
+     * Build the error for a monitor override which could not be resolved
      * 
-     * Once received, send it via the API 
+     * @param number|string monitor The monitor ID or name that was passed
      * 
-     * @return Promise
+     * @return TetheredValidationError
      */
-    pushMetrics(){
-        return new Promise((resolve, reject) => {
-            if(this.ready){
-                this.snapshot().then((system) => {
-                    if(this.configuration.metricFlags){
-                        let list = [];
-                        
-                        /* Check if CPU is enabled, and add it to the list */
-                        if(this.configuration.metricFlags.includes(TetheredUptime.METRIC_FLAGS.CPU)){
-                            if(typeof system.cpu !== 'undefined'){
-                                list.push({
-                                    key : 'cpu',
-                                    value : system.cpu,
-                                    label : 'CPU',
-                                    type : 'percentage',
-                                    widget : 'donut'
-                                });
-                            }
-                        }
-        
-                        /* Check if memory is enabled, and add it to the list */
-                        if(this.configuration.metricFlags.includes(TetheredUptime.METRIC_FLAGS.MEMORY)){
-                            if(typeof system.memory !== 'undefined'){
-                                list.push({
-                                    key : 'memory',
-                                    value : system.memory,
-                                    label : 'Memory {{}}MB',
-                                    type : 'average',
-                                    widget : 'area'
-                                });
-                            }
-                        }
-        
-                        /* Check if load is enabled, and add it to the list */
-                        if(this.configuration.metricFlags.includes(TetheredUptime.METRIC_FLAGS.LOAD)){
-                            if(typeof system.load !== 'undefined'){
-                                list.push({
-                                    key : 'load',
-                                    value : system.load,
-                                    label : 'System Load',
-                                    type : 'percentage',
-                                    widget : 'area'
-                                });
-                            }
+    monitorError(monitor){
+        if(typeof monitor === 'undefined' || monitor === null || monitor === false || monitor === 0){
+            return new TetheredValidationError("Monitor ID is missing from configuration");
+        }
+        return new TetheredValidationError(`Unknown monitor '${monitor}'`);
+    }
+
+    /**
+     * Schedule the automated modes to run when expected
+     * 
+     * This will only run if you are using a mode which runs automatically, like cron or interval 
+     * 
+     * If you instead use manual mode, this will not do anything as there is no automation to be configured 
+     * 
+     * Each task (status and metrics) can have its own schedule, set with the 'schedules' option, for example: 
+     * - { status : { every : '60s' }, metrics : { cron : '*\/15 * * * *' } }
+     * 
+     * A schedule has either an 'every' duration or a 'cron' expression, and optionally a 'timezone' (cron only) and a 'jitter', which overrides 
+     * the 'jitter' option. Tasks without their own schedule share the cron or interval set by the mode. 
+     * 
+     * Each run waits for a random delay, up to the jitter, so a fleet of instances does not call the API at the same moment. If the previous 
+     * run of a schedule is still in progress, the run is skipped
+     * 
+     * Any existing scheduler is stopped first, so calling this more than once will not leak timers
+     * 
+     * @param bool immediate Whether to run a sync straight away, defaults to true
+     * 
+     * @return void
+     */
+    schedule(immediate){
+        immediate = typeof immediate === 'undefined' ? true : immediate;
+
+        if(this.isRunning()){
+            this.stop();
+        }
+
+        if(this.ready) {
+            if(this.configuration.mode === TetheredUptime.MODE_TYPES.MANUAL){
+                this.log(`Skipping scheduling, in manual mode`, TetheredUptime.LOG_LEVELS.DEBUG);
+                return;
+            }
+
+            if(this.isClusterWorker() && this._cluster.channel){
+                this.log(`Skipping scheduling, reporting to the cluster primary`, TetheredUptime.LOG_LEVELS.DEBUG);
+                return;
+            }
+
+            const schedules = this.configuration.schedules || {};
+            const shared = ['status', 'metrics'].filter((task) => !schedules[task]);
+
+            if(shared.length){
+                if(this.configuration.mode === TetheredUptime.MODE_TYPES.CRON){
+                    this.scheduleTask('sync', shared, { cron : this.configuration.cronTime || "0 * * * *" }, immediate);
+                } else {
+                    this.scheduleTask('sync', shared, { every : this.configuration.intervalTime || 3600 }, immediate);
+                }
+            }
+
+            for(let task of ['status', 'metrics']){
+                if(schedules[task]){
+                    this.scheduleTask(task, [task], schedules[task], immediate);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create the timer for a single schedule
+     * 
+     * @param string name The schedule name, either 'sync' for the shared schedule, or the task name
+     * @param array tasks The tasks run by this schedule
+     * @param object timing The schedule, with either an 'every' duration or a 'cron' expression, see schedule method
+     * @param bool immediate Whether to run straight away
+     * 
+     * @return void
+     */
+    scheduleTask(name, tasks, timing, immediate){
+        const run = () => {
+            this.tick(name, tasks, timing);
+        };
+
+        if(timing.cron){
+            const cronTimezone = timing.timezone || this.configuration.cronTimezone || "America/Los_Angeles";
+            this._schedules[name] = {
+                cron : new CronJob(timing.cron, run, null, true, cronTimezone)
+            };
+
+            this.log(`Node cron scheduled to run ${tasks.join(', ')} at ${timing.cron} (${cronTimezone})`, TetheredUptime.LOG_LEVELS.DEBUG);
+        } else {
+            const every = this.parseDuration(timing.every) || 3600;
+            this._schedules[name] = {
+                interval : setInterval(run, every * 1000)
+            };
+
+            this.log(`Interval scheduled to run ${tasks.join(', ')} every ${every}s`, TetheredUptime.LOG_LEVELS.DEBUG);
+        }
+
+        if(immediate){
+            run();
+        }
+    }
+
+    /**
+     * Run a schedule, after the jitter delay, unless the previous run is still in progress
+     * 
+     * @param string name The schedule name
+     * @param array tasks The tasks to run
+     * @param object timing The schedule, used for the jitter
+     * 
+     * @return void
+     */
+    tick(name, tasks, timing){
+        if(this._active[name]){
+            this.log(`Skipping scheduled ${tasks.join(', ')}, the previous run is still in progress`, TetheredUptime.LOG_LEVELS.WARN, { event : 'schedule.skipped' });
+            this.trigger('schedule.skipped', { schedule : name, tasks : tasks });
+            return;
+        }
+
+        /* A token, rather than a flag, so a run left over from before a reschedule can't clear the flag of a newer run */
+        const token = {};
+        this._active[name] = token;
+
+        const jitter = this.parseDuration(typeof timing.jitter !== 'undefined' ? timing.jitter : this.configuration.jitter) || 0;
+        const delay = Math.round(Math.random() * jitter * 1000);
+
+        this._jitter[name] = setTimeout(() => {
+            delete this._jitter[name];
+
+            this.trigger('schedule.tick', { schedule : name, tasks : tasks, delay : delay });
+            this.sync(tasks).then(() => {
+                if(this._active[name] === token){
+                    delete this._active[name];
+                }
+            });
+        }, delay);
+    }
+
+    /**
+     * Check a schedule definition, used by the 'schedules' option validation
+     * 
+     * @param any schedule The schedule definition
+     * 
+     * @return string|bool The problem found, or false if the schedule is valid
+     */
+    scheduleProblem(schedule){
+        if(!(schedule instanceof Object) || (!schedule.every && !schedule.cron) || (schedule.every && schedule.cron)){
+            return "must be false, or a schedule with either 'every' or 'cron'";
+        }
+
+        for(let key in schedule){
+            if(!['every', 'cron', 'timezone', 'jitter'].includes(key)){
+                return `has an unknown option '${key}'`;
+            }
+        }
+
+        if(schedule.every && !(this.parseDuration(schedule.every) > 0)){
+            return "'every' must be a positive duration, in seconds or with a unit like '60s', '15m' or '1h'";
+        } else if(schedule.every && this.delayProblem(schedule.every)){
+            return `'every' ${this.delayProblem(schedule.every)}`;
+        }
+
+        if(schedule.cron){
+            try {
+                new CronTime(schedule.cron);
+            } catch (ex) {
+                return `'cron' must be a valid cron expression (${ex.message})`;
+            }
+        }
+
+        if(typeof schedule.timezone !== 'undefined'){
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone : schedule.timezone });
+            } catch (ex) {
+                return "'timezone' must be a valid timezone, like 'America/Los_Angeles'";
+            }
+        }
+
+        if(typeof schedule.jitter !== 'undefined' && !(this.parseDuration(schedule.jitter) >= 0)){
+            return "'jitter' must be a duration, in seconds or with a unit like '30s'";
+        } else if(typeof schedule.jitter !== 'undefined' && this.delayProblem(schedule.jitter)){
+            return `'jitter' ${this.delayProblem(schedule.jitter)}`;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check that a duration fits in a timer, see MAX_DELAY
+     * 
+     * @param number|string value The duration
+     * 
+     * @return string|false The problem, or false if the duration is short enough
+     */
+    delayProblem(value){
+        return this.parseDuration(value) * 1000 > TetheredUptime.MAX_DELAY ? "must be no longer than 24 days, the longest delay supported by timers" : false;
+    }
+
+    /**
+     * Convert a duration to seconds 
+     * 
+     * Numbers are treated as seconds, strings can include a unit: ms, s, m, h or d. For example '500ms', '60s', '15m' or '1h'
+     * 
+     * @param number|string value The duration
+     * 
+     * @return number The duration in seconds, or NaN if it is not valid
+     */
+    parseDuration(value){
+        if(typeof value === 'number'){
+            return value >= 0 ? value : NaN;
+        }
+
+        const units = { ms : 0.001, s : 1, m : 60, h : 3600, d : 86400 };
+        const match = typeof value === 'string' ? value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i) : null;
+        if(match){
+            return parseFloat(match[1]) * units[(match[2] || 's').toLowerCase()];
+        }
+        return NaN;
+    }
+
+    /**
+     * Start the automated scheduler
+     * 
+     * Useful after calling stop, this has no effect if the scheduler is already running, or if the instance is in manual mode
+     * 
+     * @return void
+     */
+    start(){
+        if(!this.ready || this.isRunning()){
+            return;
+        }
+
+        this.schedule();
+
+        if(this.isRunning()){
+            this.log(`Scheduler started`, TetheredUptime.LOG_LEVELS.INFO, { event : 'started' });
+            this.trigger('started');
+        }
+    }
+
+    /**
+     * Stop the automated scheduler
+     * 
+     * Clears any cron jobs or intervals created by the schedule method, along with runs waiting on their jitter delay. Manual calls, like sync, will still work 
+     * 
+     * @return void
+     */
+    stop(){
+        const running = this.isRunning();
+
+        for(let name in this._schedules){
+            if(this._schedules[name].cron){
+                this._schedules[name].cron.stop();
+            } else {
+                clearInterval(this._schedules[name].interval);
+            }
+        }
+
+        for(let name in this._jitter){
+            clearTimeout(this._jitter[name]);
+        }
+
+        this._schedules = {};
+        this._jitter = {};
+        this._active = {};
+
+        if(running){
+            this.log(`Scheduler stopped`, TetheredUptime.LOG_LEVELS.INFO, { event : 'stopped' });
+            this.trigger('stopped');
+        }
+    }
+
+    /**
+     * Rebuild the automated scheduler, optionally applying new configuration first
+     * 
+     * This does not run an immediate sync, the next sync will happen at the new timing
+     * 
+     * @param object config Optional configuration options to apply before rescheduling, see configure
+     * 
+     * @return void
+     */
+    reschedule(config){
+        this.stop();
+
+        if(typeof config !== 'undefined'){
+            /* The scheduler is rebuilt below, so configure should not rebuild it as well */
+            this._rescheduling = true;
+            try {
+                this.configure(config);
+            } finally {
+                this._rescheduling = false;
+            }
+        }
+
+        this.schedule(false);
+
+        this.log(`Scheduler rebuilt`, TetheredUptime.LOG_LEVELS.INFO, { event : 'rescheduled' });
+        this.trigger('rescheduled', this.configuration);
+    }
+
+    /**
+     * Tear down the instance
+     * 
+     * Stops the scheduler, sampler, Prometheus exporter, StatsD listener, cluster mode, signal handlers, any pending queue replay and runtime observers, then sends any batched metrics and removes all registered modifiers and listeners. The instance cannot be used after this
+     * 
+     * @return void
+     */
+    destroy(){
+        this.stop();
+
+        clearTimeout(this._queueTimer);
+        this._queueTimer = false;
+
+        /* Send anything still waiting in the batch, rather than leaving the callers hanging */
+        this.flushBatch();
+
+        this.stopSampling();
+        this.stopExporter();
+        this.stopStatsd();
+        this.stopCluster();
+        this.stopSignals();
+
+        if(this._eventLoop){
+            this._eventLoop.disable();
+            this._eventLoop = false;
+        }
+
+        if(this._gcObserver){
+            this._gcObserver.disconnect();
+            this._gcObserver = false;
+        }
+
+        this.log(`Instance destroyed`, TetheredUptime.LOG_LEVELS.INFO, { event : 'destroyed' });
+        this.trigger('destroyed');
+
+        this.ready = false;
+        this.hooks = {
+            modifiers : {},
+            events : {}
+        };
+    }
+
+    /**
+     * Register the shutdown signal handlers, if enabled in the configuration
+     * 
+     * When one of the signals is received, the shutdown method is called, and the process exits once it completes (unless the 'exit' option 
+     * is disabled, in which case your own handlers are responsible for exiting)
+     * 
+     * Safe to call more than once, handlers are only registered once
+     * 
+     * @return void
+     */
+    startSignals(){
+        const options = this.configuration.shutdown;
+        if(!options.handleSignals || this._signals){
+            return;
+        }
+
+        this._signals = {};
+        for(let signal of options.signals){
+            this._signals[signal] = () => {
+                this.log(`Received ${signal}, shutting down`, TetheredUptime.LOG_LEVELS.INFO, { event : 'shutdown.signal' });
+
+                this.shutdown().then(() => {
+                    if(options.exit){
+                        process.exit();
+                    }
+                });
+            };
+
+            process.once(signal, this._signals[signal]);
+        }
+    }
+
+    /**
+     * Remove the shutdown signal handlers, if they are registered
+     * 
+     * @return void
+     */
+    stopSignals(){
+        if(this._signals){
+            for(let signal in this._signals){
+                process.removeListener(signal, this._signals[signal]);
+            }
+            this._signals = false;
+        }
+    }
+
+    /**
+     * Shut the instance down gracefully, for example during a deploy
+     * 
+     * - The scheduler and sampler are stopped, so no new syncs start
+     * - Any batched metrics are sent
+     * - If the 'status' option is set, a final status is sent with that code. The API has no maintenance state, so anything outside of the 
+     *   2xx range is recorded as a failure. Disabled by default
+     * - If the 'incident' option is enabled, a "deploy" incident is opened, and its ID is saved to the 'path' file, so the instance that 
+     *   takes over can resolve it after a successful status push (see resolveDeploy)
+     * - In-flight requests are given up to the 'timeout' option to complete
+     * 
+     * The instance is then destroyed. Calling this more than once returns the same Promise
+     * 
+     * Supported options (shutdown): 
+     * - handleSignals : Call shutdown when the process receives one of the signals, defaults to false
+     * - signals       : The signals to handle, defaults to ['SIGTERM', 'SIGINT']
+     * - timeout       : Seconds to wait for in-flight requests, defaults to 10
+     * - status        : The final status code sent, or false to skip it. Defaults to false
+     * - incident      : Open a "deploy" incident on shutdown, and resolve it after the next successful status push. Defaults to false
+     * - path          : The file the IDs of open deploy incidents are kept in, defaults to "tethered-deploy.json"
+     * - exit          : Exit the process after a handled signal, defaults to true
+     * 
+     * @return Promise Resolves with the number of requests still pending when the timeout was reached, never rejects
+     */
+    shutdown(){
+        if(this._shutdown){
+            return this._shutdown;
+        }
+
+        this._shutdown = new Promise((resolve) => {
+            const options = this.configuration.shutdown;
+
+            this.log("Shutting down", TetheredUptime.LOG_LEVELS.INFO, { event : 'shutdown' });
+            this.trigger('shutdown');
+
+            this.stop();
+            this.stopSignals();
+            this.stopSampling();
+            this.flushBatch();
+
+            /* The final pushes apply modifiers before their request starts, so they are waited on directly */
+            const pending = this._inflight.slice();
+            const flags = this.configuration.syncFlags || [];
+            if(this.ready && this.configuration.monitorId && !this.isClusterWorker()){
+                if(options.status !== false && flags.includes(TetheredUptime.SYNC_FLAGS.STATUS)){
+                    pending.push(this.pushStatus(options.status, 0));
+                }
+
+                if(options.incident){
+                    const description = `Planned shutdown of ${nodeOs.hostname()} (process ${process.pid}), the monitor may be unavailable until the deploy completes`;
+                    pending.push(this.pushIncident("Deploy in progress", description, "deploy").then((response) => {
+                        const id = this.responseId(response);
+                        if(id){
+                            this.writeDeployIncidents(this.readDeployIncidents().concat([id]));
+                        }
+                    }));
+                }
+            }
+
+            /* Wait on everything in flight, including the final status and incident, but never longer than the timeout */
+            let timer = false;
+            const timeout = new Promise((done) => {
+                timer = setTimeout(done, (parseFloat(options.timeout) || 0) * 1000);
+            });
+
+            Promise.race([Promise.allSettled(pending), timeout]).then(() => {
+                clearTimeout(timer);
+
+                const remaining = this._inflight.length;
+                if(remaining){
+                    this.log(`Shutdown timed out with ${remaining} requests in flight`, TetheredUptime.LOG_LEVELS.WARN, { event : 'shutdown.timeout' });
+                }
+
+                this.log("Shutdown complete", TetheredUptime.LOG_LEVELS.INFO, { event : 'shutdown.complete' });
+                this.trigger('shutdown.complete', { pending : remaining });
+
+                this.destroy();
+                resolve(remaining);
+            });
+        });
+
+        return this._shutdown;
+    }
+
+    /**
+     * Resolve the deploy incidents opened by instances during shutdown, as listed in the 'path' shutdown option
+     * 
+     * Only incidents opened by shutdown are resolved, never other incidents with a 'deploy' source. Each one is removed from the file once 
+     * resolved, and failures are kept for the next attempt
+     * 
+     * Called automatically after a successful status push for the configured monitor, when the 'incident' shutdown option is enabled. The 
+     * file is read on each of these pushes, which also picks up incidents opened by an old process which shut down after this one started, 
+     * as happens during a rolling deploy, but the API is only called when there is something to resolve. Cluster workers don't send a 
+     * status, so they never resolve incidents
+     * 
+     * Calling this while a check is already running returns the same Promise
+     * 
+     * @return Promise Resolves with the number of incidents resolved
+     */
+    resolveDeploy(){
+        if(this._resolvingDeploy){
+            return this._resolvingDeploy;
+        }
+
+        this._resolvingDeploy = new Promise((resolve, reject) => {
+            if(this.ready){
+                const ids = this.readDeployIncidents();
+                if(!ids.length){
+                    resolve(0);
+                    return;
+                }
+
+                Promise.allSettled(ids.map((id) => this.resolveIncident(id, "Deploy complete"))).then((results) => {
+                    const resolved = ids.filter((id, index) => results[index].status === 'fulfilled');
+
+                    /* Re-read, as another process may have added an incident while these were being resolved */
+                    this.writeDeployIncidents(this.readDeployIncidents().filter((id) => !resolved.includes(id)));
+
+                    if(resolved.length){
+                        this.log(`Resolved ${resolved.length} deploy incidents`, TetheredUptime.LOG_LEVELS.INFO, { event : 'shutdown.resolved' });
+                    }
+
+                    if(resolved.length < ids.length){
+                        this.log(`${ids.length - resolved.length} deploy incidents could not be resolved`, TetheredUptime.LOG_LEVELS.ERROR, { event : 'shutdown.resolved' });
+                    }
+
+                    resolve(resolved.length);
+                });
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+
+        const settled = () => {
+            this._resolvingDeploy = false;
+        };
+        this._resolvingDeploy.then(settled, settled);
+
+        return this._resolvingDeploy;
+    }
+
+    /**
+     * Read the IDs of the deploy incidents waiting to be resolved, from the 'path' shutdown option
+     * 
+     * @return array
+     */
+    readDeployIncidents(){
+        const path = this.configuration.shutdown.path;
+        if(!fs.existsSync(path)){
+            return [];
+        }
+
+        try {
+            const ids = JSON.parse(fs.readFileSync(path, 'utf8'));
+            return ids instanceof Array ? ids.filter((id) => Number.isInteger(id)) : [];
+        } catch (ex) {
+            this.log(`Deploy incidents could not be read from ${path}`, TetheredUptime.LOG_LEVELS.ERROR, { error : ex });
+            return [];
+        }
+    }
+
+    /**
+     * Write the IDs of the deploy incidents waiting to be resolved, removing the file once there are none
+     * 
+     * @param array ids The incident IDs
+     * 
+     * @return void
+     */
+    writeDeployIncidents(ids){
+        const path = this.configuration.shutdown.path;
+        try {
+            if(ids.length){
+                fs.writeFileSync(path, JSON.stringify(ids));
+            } else if(fs.existsSync(path)){
+                fs.unlinkSync(path);
+            }
+        } catch (ex) {
+            this.log(`Deploy incidents could not be written to ${path}`, TetheredUptime.LOG_LEVELS.ERROR, { error : ex });
+        }
+    }
+
+    /**
+     * Check if the automated scheduler is currently running
+     * 
+     * @return bool
+     */
+    isRunning(){
+        return !!(this._schedules && Object.keys(this._schedules).length);
+    }
+
+    /**
+     * Sync all sync flags for the linked monitor
+     * 
+     * This will call the 'metrics' and 'status' methods, meaning both the uptime and system resources are synced 
+     * 
+     * You will still need to log any additional resources using our event triggers (see config), which allow you to hook into this sync method for your
+     * own automation steps as/when needed
+     * 
+     * Scheduled runs only sync the tasks for that schedule, see schedule method
+     * 
+     * @param array tasks Optional list of tasks to run, 'status' and/or 'metrics'. Defaults to both
+     * 
+     * @return Promise Resolves once every push has completed or failed, never rejects
+     */
+    sync(tasks){
+        tasks = tasks instanceof Array ? tasks : ['status', 'metrics'];
+
+        if(!this.ready){
+            return Promise.resolve();
+        }
+
+        if(this.isClusterWorker()){
+            /* Workers leave status and host resources to the primary, and only send their application metrics */
+            const sent = tasks.includes('metrics') ? (this._cluster.channel ? this.report() : this.pushMetrics(undefined, {})) : Promise.resolve();
+            this.trigger('sync', tasks);
+            return sent.then(() => {}).catch(() => {});
+        }
+
+        const pending = [];
+        const probes = this.probeDefinitions();
+
+        /* The configured monitor, followed by any named monitors, each with their own sync flags */
+        const targets = this.configuration.monitorId ? [{ monitor : undefined, id : this.configuration.monitorId, flags : this.configuration.syncFlags || [] }] : [];
+        for(let name in this.configuration.monitors){
+            const monitor = this.configuration.monitors[name];
+            targets.push({ monitor : name, id : monitor.id, flags : monitor.syncFlags || this.configuration.syncFlags || [] });
+        }
+
+        if(tasks.includes('status')){
+            /* Probes only run for monitors which send status updates, monitors not listed above use the top level sync flags */
+            const statusProbes = probes.filter((probe) => {
+                const target = targets.find((target) => target.id === this.resolveMonitor(probe.monitorId));
+                return (target ? target.flags : this.configuration.syncFlags || []).includes(TetheredUptime.SYNC_FLAGS.STATUS);
+            });
+
+            if(statusProbes.length){
+                /* Configured to probe targets, each result is pushed as a status for the probe's monitor */
+                pending.push(this.runProbes(statusProbes));
+            }
+
+            for(let target of targets){
+                if(target.flags.includes(TetheredUptime.SYNC_FLAGS.STATUS)){
+                    /* Configured to send status updates, unless a probe is already reporting for this monitor */
+                    const probed = statusProbes.some((probe) => this.resolveMonitor(probe.monitorId) === target.id);
+                    if(!probed){
+                        pending.push(this.pushStatus(undefined, undefined, target.monitor));
+                    }
+                }
+            }
+        }
+
+        const metrics = targets.filter((target) => target.flags.includes(TetheredUptime.SYNC_FLAGS.METRICS));
+        if(tasks.includes('metrics') && metrics.length){
+            /* Configured to send metrics, one snapshot is shared by every monitor */
+            pending.push(this.snapshot().then((system) => {
+                return Promise.all(metrics.map((target) => this.pushMetrics(target.monitor, system).then(() => {}).catch(() => {})));
+            }).catch((error) => {
+                this.log("System snapshot failed!", TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+            }));
+        }
+
+        this.trigger('sync', tasks);
+
+        return Promise.all(pending.map((push) => push.then(() => {}).catch(() => {})));
+    }
+
+    /**
+     * Send an uptime update via the API 
+     * 
+     * By default, it will be sent with a 200 status and a 0 time, but you can change these defaults with internal hooks 
+     * 
+     * If the 'http.status' option is enabled, and the HTTP middleware has observed requests, the default is instead based on the error rate and average latency
+     * 
+     * Statuses for the configured monitor start a new HTTP status window, and resolve any deploy incidents when up. Statuses reporting a job 
+     * (sent by track and heartbeat with the 'job' option) describe the job rather than the server, so they skip both
+     * 
+     * @param int code The status code to log
+     * @param int time The response/operation time to log
+     * @param number|string monitor Optional monitor ID, or name from the 'monitors' option, to send the status for. Defaults to the configured monitor
+     * @param object options Optional request options (signal, timeout), see request method, and 'job' to mark a job status
+     * 
+     * @return Promise
+     */
+    pushStatus(code, time, monitor, options){
+        return new Promise((resolve, reject) => {
+            const job = options instanceof Object && options.job === true;
+            if(job){
+                options = Object.assign({}, options);
+                delete options.job;
+            }
+
+            if(this.ready){
+                const monitorId = this.resolveMonitor(monitor);
+                if(!monitorId){
+                    reject(this.monitorError(monitor));
+                    return;
+                }
+
+                const observed = this.clusterHealth(this.httpStatus());
+                if(observed && !code){
+                    /* Derive the status from the requests observed by the HTTP middleware, and the health reported by cluster workers */
+                    code = observed.code;
+                    time = typeof time !== 'undefined' ? time : observed.time;
+                }
+
+                Promise.all([
+                    this.applyModifiersAsync('status.code', code || 200),
+                    this.applyModifiersAsync('status.time', time || 0)
+                ]).then(([status, time]) => {
+                    code = status;
+                    const data = {
+                        apikey : this.configuration.apikey,
+                        id : monitorId,
+                        status : status,
+                        time : time
+                    };
+        
+                    this.trigger('status');
+        
+                    return this.dispatch('site/status', data, options);
+                }).then((response) => {
+                    this.log(`Status request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'status.complete' });
+                    this.trigger('status.complete', response);
+
+                    if(!job && parseInt(monitorId) === parseInt(this.configuration.monitorId)){
+                        /* Requests observed from here on count towards the next status */
+                        this.resetHttpStatus();
+                    }
+
+                    if(!job && this.configuration.shutdown.incident && !this._shutdown && !this.isClusterWorker() && parseInt(monitorId) === parseInt(this.configuration.monitorId) && code < 400){
+                        /* The monitor is reporting as up, so any deploy incident left open by a process that shut down is over. Only reads a local file unless there is one */
+                        this.resolveDeploy().then(() => {}).catch(() => {});
+                    }
+
+                    resolve(response);
+                }).catch((error) => {
+                    this.log(`Status request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                    reject(error);
+                });
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+        
+    }
+
+    /**
+     * Log a custom metric to your site 
+     * 
+     * For one shot metrics users can call this one shot method instead of the automated metrics list method 
+     * 
+     * The alternative to this is to hook into the metrics methods instead and add to the list by returning additional metrics you want to log 
+     * 
+     * @param string key The key slug for this metric
+     * @param number value The value of this metric
+     * @param string label The pretty printed label for this metric. Suffix can be passed as a quick tag, for example "Memory {{}}MB" would set :"MB" to be the suffix
+     * @param string|int type The type of metric you are storing. For example: counter, average, percentage etc
+     * @param string|int widget The type of widget you want to use for storage. For example: line, area, pie, donut, radar, heatmap
+     * @param number|string monitor Optional monitor ID, or name from the 'monitors' option, to send the metric for. Defaults to the configured monitor
+     * @param object options Optional request options (signal, timeout), see request method. Rejected when batching is enabled, as the batch is sent as one request
+     * 
+     * @return Promise
+     */
+    pushMetric(key, value, label, type, widget, monitor, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                const monitorId = this.resolveMonitor(monitor);
+                if(!monitorId){
+                    reject(this.monitorError(monitor));
+                    return;
+                }
+
+                if(typeof key !== 'undefined' && typeof value !== 'undefined'){
+                    const data = {
+                        apikey : this.configuration.apikey,
+                        site : monitorId,
+                        key : key,
+                        value : value
+                    };
+        
+                    if(typeof label !== 'undefined'){
+                        data.label = label;
+                    }
+        
+                    if(typeof type !== 'undefined'){
+                        data.type = type;
+                    }
+        
+                    if(typeof widget !== 'undefined'){
+                        data.widget = widget;
+                    }
+
+                    if(this.configuration.batch.enabled){
+                        if(options instanceof Object && Object.keys(options).length){
+                            /* The batch is one request for many calls, so one call's signal or timeout can't apply to it */
+                            reject(new TetheredValidationError("Request options can't be used with batched metrics, disable batching or call without options"));
+                            return;
+                        }
+
+                        /* Merged with other calls in the same window, and sent as a list */
+                        const metric = Object.assign({}, data);
+                        delete metric.apikey;
+                        delete metric.site;
+
+                        this.batchMetric(metric, monitorId).then(resolve).catch(reject);
+                        return;
+                    }
+        
+                    this.trigger('metrics');
+                    
+                    this.dispatch('metrics/', data, options).then((response) => {
+                        this.log(`Metrics request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'metrics.complete' });
+                        this.trigger('metrics.complete', response);
+
+                        resolve(response);
+                    }).catch((error) => {
+                        this.log(`Metrics request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                        reject(error);
+                    });
+                } else {
+                    reject(new TetheredValidationError("Missing required fields 'key', 'value'"));
+                }
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Add a one-shot metric to the current batch, sending the batch once the window closes or it is full
+     * 
+     * Supported options (batch): 
+     * - enabled : Batch pushMetric calls, defaults to false
+     * - window  : Seconds to wait for more metrics before sending, defaults to 1
+     * - size    : Send straight away once this many metrics are waiting, defaults to 50
+     * 
+     * @param object metric The metric, with a key, value and optional label, type and widget
+     * @param number monitorId The monitor the metric is for, defaults to the configured monitor
+     * 
+     * @return Promise Resolves with the shared response, once the batch is sent
+     */
+    batchMetric(metric, monitorId){
+        return new Promise((resolve, reject) => {
+            const options = this.configuration.batch;
+
+            this._batch = this._batch || [];
+            this._batch.push({ metric : metric, monitorId : monitorId || this.configuration.monitorId, resolve : resolve, reject : reject });
+
+            if(this._batch.length >= Math.max(1, parseInt(options.size) || 1)){
+                this.flushBatch();
+            } else if(!this._batchTimer){
+                this._batchTimer = setTimeout(() => this.flushBatch(), (parseFloat(options.window) || 0) * 1000);
+            }
+        });
+    }
+
+    /**
+     * Send any batched one-shot metrics as a single list request
+     * 
+     * Metrics with the same key are coalesced, counters are added together and any other type keeps the latest value. Every caller in the batch 
+     * receives the same response (or error)
+     * 
+     * @return void
+     */
+    flushBatch(){
+        clearTimeout(this._batchTimer);
+        this._batchTimer = false;
+
+        const entries = this._batch || [];
+        this._batch = [];
+        if(!entries.length){
+            return;
+        }
+
+        /* Each monitor gets its own list request */
+        const groups = {};
+        for(let entry of entries){
+            groups[entry.monitorId] = groups[entry.monitorId] || [];
+            groups[entry.monitorId].push(entry);
+        }
+
+        for(let monitorId in groups){
+            this.sendBatch(parseInt(monitorId), groups[monitorId]);
+        }
+    }
+
+    /**
+     * Send the batched metrics for a single monitor, see flushBatch
+     * 
+     * @param number monitorId The monitor to send the metrics for
+     * @param array entries The batch entries
+     * 
+     * @return void
+     */
+    sendBatch(monitorId, entries){
+        const coalesced = {};
+        for(let entry of entries){
+            const metric = entry.metric;
+            const existing = coalesced[metric.key];
+            if(existing && metric.type === 'counter' && existing.type === 'counter'){
+                existing.value = (parseFloat(existing.value) || 0) + (parseFloat(metric.value) || 0);
+            } else {
+                coalesced[metric.key] = Object.assign({}, metric);
+            }
+        }
+
+        const list = Object.values(coalesced);
+        const data = {
+            apikey : this.configuration.apikey,
+            site : monitorId,
+            list : JSON.stringify(list)
+        };
+
+        this.trigger('metrics');
+        this.trigger('metrics.batch', { calls : entries.length, list : list, monitorId : monitorId });
+
+        this.dispatch('metrics/', data).then((response) => {
+            this.log(`Metrics batch request completed (${response.status}, ${list.length} metrics)`, TetheredUptime.LOG_LEVELS.INFO, { event : 'metrics.complete' });
+            this.trigger('metrics.complete', response);
+
+            for(let entry of entries){
+                entry.resolve(response);
+            }
+        }).catch((error) => {
+            this.log(`Metrics batch request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+            for(let entry of entries){
+                entry.reject(error);
+            }
+        });
+    }
+
+    /**
+     * Get the current system resource usage data 
+     * 
+     * This will call the snapshot method, and then filter the returned data after the fact. Any configured Prometheus/OpenMetrics targets are 
+     * scraped at the same time
+     * 
+     * Once received, send it via the API 
+     * 
+     * When sending for a named monitor from the 'monitors' option, only the system resources enabled by its metric flags are sent. Application, 
+     * request, sampling and target metrics belong to the process, so they are only sent for the configured monitor
+     * 
+     * @param number|string monitor Optional monitor ID, or name from the 'monitors' option, to send the metrics for. Defaults to the configured monitor
+     * @param object system Optional snapshot to send, instead of taking a new one. Used by sync to share one snapshot across monitors
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    pushMetrics(monitor, system, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                const monitorId = this.resolveMonitor(monitor);
+                if(!monitorId){
+                    reject(this.monitorError(monitor));
+                    return;
+                }
+
+                const named = typeof monitor === 'string' && this.configuration.monitors[monitor] ? this.configuration.monitors[monitor] : false;
+                const flags = named && named.metricFlags ? named.metricFlags : this.configuration.metricFlags;
+
+                Promise.all([system ? system : this.snapshot(), named || this.isClusterWorker() ? [] : this.collectTargets()]).then(([system, targets]) => {
+                    if(!named){
+                        /* Let the exporter reuse this snapshot, rather than taking another */
+                        this.cacheScrapeSources(system, targets);
+                    }
+
+                    if(flags){
+                        const compiled = named ? Promise.resolve(this.compileMetrics(system, flags)) : this.metricsList(system, false, targets);
+                        return compiled.then((list) => {
+                            if(!named && !this.isClusterWorker()){
+                                /* Check threshold rules against the final values */
+                                this.evaluateRules(list, system);
+                            }
+        
+                            if(list && list.length){
+                                const data = {
+                                    apikey : this.configuration.apikey,
+                                    site : monitorId,
+                                    list : JSON.stringify(list)
+                                };
+        
+                                this.trigger('metrics');
+                            
+                                this.dispatch('metrics/', data, options).then((response) => {
+                                    this.log(`Metrics request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'metrics.complete' });
+                                    this.trigger('metrics.complete', response);
+
+                                    resolve(response);
+                                }).catch((error) => {
+                                    this.log(`Metrics request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                                    reject(error);
+                                });
+                            } else {
+                                reject(new TetheredValidationError("No metric data to send"));
+                            }
+                        });
+                    } else {
+                        reject(new TetheredValidationError("Configuration invalid, metric flags not defined correctly"));
+                    }
+                }).catch((error) => {
+                    this.log("System snapshot failed!", TetheredUptime.LOG_LEVELS.ERROR);
+                    reject(error);
+                });
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Build the full metrics list sent by pushMetrics, from a snapshot
+     * 
+     * Includes the system resources, sampling aggregates, application metrics from the registry, request metrics from the HTTP middleware 
+     * and any scraped target metrics, after which the 'metrics.list' modifier is applied
+     * 
+     * In cluster mode, the primary merges in the metrics reported by workers (see clusterMetrics), and workers only include their application 
+     * and request metrics
+     * 
+     * When peeking, the sampling window, registry and HTTP figures are read without being reset, so the next push still includes them
+     * 
+     * @param object system The snapshot data, see snapshot method
+     * @param bool peek Read the current values without starting a new window
+     * @param array targets Metrics scraped from Prometheus/OpenMetrics targets, see collectTargets method
+     * 
+     * @return Promise Resolves with the list, once any async modifiers have completed
+     */
+    metricsList(system, peek, targets){
+        const worker = this.isClusterWorker();
+
+        /* Cluster workers leave the host resources to the primary */
+        let list = worker ? [] : this.compileMetrics(system);
+
+        if(!worker && this.isSampling()){
+            /* Replace the point-in-time values with aggregates across the sampling window */
+            list = this.aggregateSamples(list, peek);
+        }
+
+        /* Include application metrics from the registry */
+        list = list.concat(this.registryMetrics(peek));
+
+        /* Include request metrics from the HTTP middleware */
+        list = list.concat(this.httpMetrics(peek));
+
+        if(worker && this.configuration.cluster.merge === TetheredUptime.CLUSTER_MERGE.WORKER){
+            /* Workers without a channel to the primary send directly, so their metrics are kept apart */
+            list = list.map((metric) => this.workerMetric(metric, this._cluster.id));
+        } else {
+            /* Include the metrics reported by cluster workers */
+            list = this.clusterMetrics(list, peek);
+        }
+
+        /* Include metrics scraped from Prometheus/OpenMetrics targets */
+        if(targets instanceof Array){
+            list = list.concat(targets);
+        }
+
+        /* Allow the list to mutated in full */
+        return this.applyModifiersAsync('metrics.list', list);
+    }
+
+    /**
+     * Compile a snapshot into the metrics list format used by the API
+     * 
+     * Only resources enabled in the metric flags are included
+     * 
+     * @param object system The snapshot data, see snapshot method
+     * @param array flags Optional metric flags to use, defaults to the configured metric flags
+     * 
+     * @return array
+     */
+    compileMetrics(system, flags){
+        flags = flags instanceof Array ? flags : this.configuration.metricFlags;
+        let list = [];
+
+        /* Check if CPU is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.CPU)){
+            if(typeof system.cpu !== 'undefined'){
+                list.push({
+                    key : 'cpu',
+                    value : system.cpu,
+                    label : 'CPU',
+                    type : 'percentage',
+                    widget : 'donut'
+                });
+            }
+        }
+
+        /* Check if memory is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.MEMORY)){
+            if(typeof system.memory !== 'undefined'){
+                list.push({
+                    key : 'memory',
+                    value : system.memory,
+                    label : 'Memory {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+            }
+        }
+
+        /* Check if load is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.LOAD)){
+            if(typeof system.load !== 'undefined'){
+                list.push({
+                    key : 'load',
+                    value : system.load,
+                    label : 'System Load',
+                    type : 'percentage',
+                    widget : 'area'
+                });
+            }
+        }
+
+        /* Check if disk is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.DRIVE)){
+            if(typeof system.disks !== 'undefined'){
+                if(system.disks instanceof Array){
+                    for(let diskIndex in system.disks){
+                        const disk = system.disks[diskIndex];
+
+                        list.push({
+                            key : `disk_${diskIndex}`,
+                            value : disk.capacity,
+                            label : `Disk ${disk.name}`,
+                            type : 'percentage',
+                            widget : 'pie'
+                        });
+                    }
+                }
+            }
+        }
+
+        /* Check if event loop delay is enabled, and add the percentiles to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.EVENT_LOOP)){
+            if(typeof system.eventLoop !== 'undefined'){
+                for(let percentile of ['p50', 'p90', 'p99', 'max']){
+                    list.push({
+                        key : `event_loop_${percentile}`,
+                        value : system.eventLoop[percentile],
+                        label : `Event Loop Delay (${percentile}) {{}}ms`,
+                        type : 'average',
+                        widget : 'line'
+                    });
+                }
+            }
+        }
+
+        /* Check if heap is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.HEAP)){
+            if(typeof system.heap !== 'undefined'){
+                list.push({
+                    key : 'heap_used',
+                    value : system.heap.used,
+                    label : 'Heap Used {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+
+                list.push({
+                    key : 'heap_total',
+                    value : system.heap.total,
+                    label : 'Heap Total {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+            }
+        }
+
+        /* Check if resident set size is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.RSS)){
+            if(typeof system.rss !== 'undefined'){
+                list.push({
+                    key : 'rss',
+                    value : system.rss,
+                    label : 'Process Memory (RSS) {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+            }
+        }
+
+        /* Check if external memory is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.EXTERNAL)){
+            if(typeof system.external !== 'undefined'){
+                list.push({
+                    key : 'external',
+                    value : system.external,
+                    label : 'External Memory {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+            }
+        }
+
+        /* Check if garbage collection is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.GC)){
+            if(typeof system.gc !== 'undefined'){
+                list.push({
+                    key : 'gc_count',
+                    value : system.gc.count,
+                    label : 'GC Runs',
+                    type : 'counter',
+                    widget : 'line'
+                });
+
+                list.push({
+                    key : 'gc_pause',
+                    value : system.gc.pause,
+                    label : 'GC Pause {{}}ms',
+                    type : 'counter',
+                    widget : 'line'
+                });
+            }
+        }
+
+        /* Check if handles are enabled, and add them to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.HANDLES)){
+            if(typeof system.handles !== 'undefined'){
+                list.push({
+                    key : 'active_handles',
+                    value : system.handles.handles,
+                    label : 'Active Handles',
+                    type : 'average',
+                    widget : 'line'
+                });
+
+                list.push({
+                    key : 'active_requests',
+                    value : system.handles.requests,
+                    label : 'Active Requests',
+                    type : 'average',
+                    widget : 'line'
+                });
+            }
+        }
+
+        /* Check if container is enabled, and add it to the list */
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.CONTAINER)){
+            if(typeof system.container !== 'undefined'){
+                list.push({
+                    key : 'container_memory',
+                    value : system.container.memory.usage,
+                    label : 'Container Memory {{}}MB',
+                    type : 'average',
+                    widget : 'area'
+                });
+
+                list.push({
+                    key : 'container_memory_limit',
+                    value : system.container.memory.percent,
+                    label : 'Container Memory Limit',
+                    type : 'percentage',
+                    widget : 'donut'
+                });
+
+                list.push({
+                    key : 'container_cpu',
+                    value : system.container.cpu.usage,
+                    label : 'Container CPU',
+                    type : 'percentage',
+                    widget : 'donut'
+                });
+
+                list.push({
+                    key : 'container_throttled',
+                    value : system.container.throttled,
+                    label : 'CPU Throttled Periods',
+                    type : 'counter',
+                    widget : 'line'
+                });
+
+                list.push({
+                    key : 'container_oom_kills',
+                    value : system.container.oomKills,
+                    label : 'OOM Kills',
+                    type : 'counter',
+                    widget : 'line'
+                });
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * Start the local sampler, if enabled in the configuration 
+     * 
+     * The sampler takes a snapshot on its own, shorter, interval between syncs, so that pushMetrics can send the min, max, average and 
+     * percentiles for each metric instead of a single point-in-time value
+     * 
+     * @return void
+     */
+    startSampling(){
+        const options = this.configuration.sampling;
+        if(!options || !options.enabled || this._sampler){
+            return;
+        }
+
+        const interval = Math.max(1, parseFloat(options.interval) || 60);
+
+        this._samples = [];
+        this._sampler = setInterval(() => {
+            this.sample();
+        }, interval * 1000);
+
+        if(this._sampler.unref){
+            this._sampler.unref();
+        }
+
+        this.log(`Sampler started, every ${interval}s`, TetheredUptime.LOG_LEVELS.DEBUG);
+    }
+
+    /**
+     * Stop the local sampler, discarding any samples which have not been sent
+     * 
+     * @return void
+     */
+    stopSampling(){
+        if(this._sampler){
+            clearInterval(this._sampler);
+            this._sampler = false;
+            this._samples = [];
+
+            this.log(`Sampler stopped`, TetheredUptime.LOG_LEVELS.DEBUG);
+        }
+    }
+
+    /**
+     * Check if the local sampler is running
+     * 
+     * @return bool
+     */
+    isSampling(){
+        return !!this._sampler;
+    }
+
+    /**
+     * Take a single sample, storing the compiled metrics until the next pushMetrics call
+     * 
+     * Skipped if the previous sample is still being taken
+     * 
+     * @return Promise
+     */
+    sample(){
+        return new Promise((resolve) => {
+            if(this._sampleRunning || !this.configuration.metricFlags){
+                resolve(false);
+                return;
+            }
+
+            this._sampleRunning = true;
+            this.snapshot().then((system) => {
+                this._sampleRunning = false;
+
+                const sample = { time : Date.now(), list : this.compileMetrics(system) };
+                if(this._sampler){
+                    this._samples.push(sample);
+                }
+
+                this.trigger('sample', sample);
+                resolve(sample);
+            }).catch(() => {
+                this._sampleRunning = false;
+                resolve(false);
+            });
+        });
+    }
+
+    /**
+     * Combine stored samples, and the current metrics list, into aggregated metrics
+     * 
+     * The original key carries the average (or the total, for counters), so existing graphs continue to work. Each configured aggregate is 
+     * added with a suffixed key, for example 'cpu_max' or 'cpu_p95'. Every entry includes the window it covers
+     * 
+     * Stored samples are cleared once aggregated, unless peeking
+     * 
+     * @param array current The metrics list compiled from the latest snapshot
+     * @param bool peek Keep the stored samples for the next aggregation
+     * 
+     * @return array
+     */
+    aggregateSamples(current, peek){
+        const samples = (this._samples || []).concat([{ time : Date.now(), list : current }]);
+        if(!peek){
+            this._samples = [];
+        }
+
+        const aggregates = this.configuration.sampling.aggregates instanceof Array ? this.configuration.sampling.aggregates : [];
+        const window = {
+            start : samples[0].time,
+            end : samples[samples.length - 1].time,
+            samples : samples.length
+        };
+
+        /* Group values by key, keeping the latest metadata for each */
+        const grouped = {};
+        for(let sample of samples){
+            for(let metric of sample.list){
+                if(typeof grouped[metric.key] === 'undefined'){
+                    grouped[metric.key] = { metric : metric, values : [] };
+                }
+
+                grouped[metric.key].metric = metric;
+                grouped[metric.key].values.push(parseFloat(metric.value) || 0);
+            }
+        }
+
+        const list = [];
+        for(let key in grouped){
+            const metric = grouped[key].metric;
+            const values = grouped[key].values;
+
+            list.push(Object.assign({}, metric, {
+                value : this.aggregate(values, metric.type === 'counter' ? 'sum' : 'avg'),
+                window : window
+            }));
+
+            for(let aggregate of aggregates){
+                list.push(Object.assign({}, metric, {
+                    key : `${key}_${aggregate}`,
+                    value : this.aggregate(values, aggregate),
+                    label : this.labelSuffix(metric.label || key, `(${aggregate})`),
+                    window : window
+                }));
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * Reduce a list of values to a single aggregate 
+     * 
+     * Supported aggregates: min, max, avg, sum, count, or a percentile in the format 'p95'
+     * 
+     * @param array values The values to aggregate
+     * @param string aggregate The aggregate to calculate
+     * 
+     * @return number
+     */
+    aggregate(values, aggregate){
+        if(!values.length){
+            return 0;
+        }
+
+        let result = 0;
+        switch(aggregate){
+            case 'min':
+                result = values.reduce((min, value) => value < min ? value : min, values[0]);
+                break;
+            case 'max':
+                result = values.reduce((max, value) => value > max ? value : max, values[0]);
+                break;
+            case 'sum':
+                result = values.reduce((total, value) => total + value, 0);
+                break;
+            case 'count':
+                result = values.length;
+                break;
+            case 'avg':
+                result = values.reduce((total, value) => total + value, 0) / values.length;
+                break;
+            default:
+                if(/^p\d+(\.\d+)?$/.test(aggregate)){
+                    /* Nearest rank percentile */
+                    const sorted = values.slice().sort((a, b) => a - b);
+                    const rank = Math.ceil((parseFloat(aggregate.substring(1)) / 100) * sorted.length);
+                    result = sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+                }
+                break;
+        }
+
+        return parseFloat(result.toFixed(2));
+    }
+
+    /**
+     * Add text to a metric label, keeping any quick tag suffix in place
+     * 
+     * For example, "Memory {{}}MB" with "(max)" becomes "Memory (max) {{}}MB"
+     * 
+     * @param string label The original label
+     * @param string text The text to add
+     * 
+     * @return string
+     */
+    labelSuffix(label, text){
+        if(`${label}`.includes('{{}}')){
+            return `${label}`.replace('{{}}', `${text} {{}}`);
+        }
+        return `${label} ${text}`;
+    }
+
+    /**
+     * Get or create a counter in the application metrics registry
+     * 
+     * Counters are sent with each metrics sync, and reset afterwards, meaning each value represents the count since the previous sync
+     * 
+     * Supported options: 
+     * - label  : The pretty printed label, defaults to the name
+     * - suffix : Unit suffix shown after the value, for example "req"
+     * - widget : The widget to use, defaults to 'line'
+     * 
+     * @param string name The metric key
+     * @param object options Optional metric options
+     * 
+     * @return object With inc(amount) and value() methods
+     */
+    counter(name, options){
+        const metric = this.registerMetric('counter', name, options);
+        return {
+            inc : (amount) => {
+                metric.value += typeof amount !== 'undefined' ? parseFloat(amount) : 1;
+            },
+            value : () => metric.value
+        };
+    }
+
+    /**
+     * Get or create a gauge in the application metrics registry
+     * 
+     * Gauges hold their last value, which is sent with every metrics sync until it is changed
+     * 
+     * Supports the same options as the counter method, with the widget defaulting to 'area'
+     * 
+     * @param string name The metric key
+     * @param object options Optional metric options
+     * 
+     * @return object With set(value), inc(amount), dec(amount) and value() methods
+     */
+    gauge(name, options){
+        const metric = this.registerMetric('gauge', name, options);
+        return {
+            set : (value) => {
+                metric.value = parseFloat(value);
+            },
+            inc : (amount) => {
+                metric.value += typeof amount !== 'undefined' ? parseFloat(amount) : 1;
+            },
+            dec : (amount) => {
+                metric.value -= typeof amount !== 'undefined' ? parseFloat(amount) : 1;
+            },
+            value : () => metric.value
+        };
+    }
+
+    /**
+     * Get or create a histogram in the application metrics registry
+     * 
+     * Observed values are summarised on each metrics sync, and reset afterwards. The metric key carries the average, and additional keys 
+     * are sent for each percentile, the max and the count, for example 'latency_p95'
+     * 
+     * The average, max and count are exact, while percentiles are calculated from a random sample of up to 10000 values per sync window
+     * 
+     * Supports the same options as the counter method, with the widget defaulting to 'line', along with:
+     * - percentiles : The percentiles to send, defaults to ['p50', 'p95', 'p99']
+     * 
+     * observe accepts an optional sample rate, between 0 and 1, for values that were sampled before being recorded. The value is then 
+     * weighted as 1 / rate observations in the average and count
+     * 
+     * @param string name The metric key
+     * @param object options Optional metric options
+     * 
+     * @return object With observe(value, rate) and values() methods
+     */
+    histogram(name, options){
+        const metric = this.registerMetric('histogram', name, options);
+        return {
+            observe : (value, rate) => {
+                value = parseFloat(value);
+                if(isNaN(value)){
+                    return;
+                }
+
+                /* A sampled value stands in for 1 / rate observations */
+                const weight = rate > 0 && rate < 1 ? 1 / rate : 1;
+                metric.max = metric.values.length ? Math.max(metric.max, value) : value;
+                metric.count += weight;
+                metric.sum += value * weight;
+
+                /* Reservoir sample, so a busy histogram keeps a bounded, representative set of values for percentiles */
+                if(metric.values.length < 10000){
+                    metric.values.push(value);
+                } else {
+                    const index = Math.floor(Math.random() * metric.count);
+                    if(index < metric.values.length){
+                        metric.values[index] = value;
+                    }
+                }
+            },
+            values : () => metric.values.slice()
+        };
+    }
+
+    /**
+     * Time an operation, recording the duration in milliseconds to a histogram
+     * 
+     * If a function is passed, it is called and timed, and its return value is passed back. Promises are supported, and are timed until they settle
+     * 
+     * If no function is passed, a stop function is returned instead, which records the duration when called
+     * 
+     * @param string name The histogram metric key
+     * @param function callable Optional function to time
+     * @param object options Optional metric options, see histogram method. The suffix defaults to 'ms'
+     * 
+     * @return any
+     */
+    timer(name, callable, options){
+        const histogram = this.histogram(name, Object.assign({ suffix : 'ms' }, options || {}));
+        const started = process.hrtime.bigint();
+        const stop = () => {
+            const duration = Number(process.hrtime.bigint() - started) / 1e6;
+            histogram.observe(duration);
+            return duration;
+        };
+
+        if(typeof callable !== 'function'){
+            return stop;
+        }
+
+        let result;
+        try {
+            result = callable();
+        } catch (ex) {
+            stop();
+            throw ex;
+        }
+
+        if(result instanceof Promise){
+            return result.finally(stop);
+        }
+
+        stop();
+        return result;
+    }
+
+    /**
+     * Add a metric to the application metrics registry, or return the existing one with the same name
+     * 
+     * @param string kind The metric kind, counter, gauge or histogram
+     * @param string name The metric key
+     * @param object options Optional metric options
+     * 
+     * @return object
+     */
+    registerMetric(kind, name, options){
+        if(typeof this.registry[name] !== 'undefined'){
+            if(this.registry[name].kind !== kind){
+                throw new TetheredValidationError(`Metric '${name}' is already registered as a ${this.registry[name].kind}`);
+            }
+            return this.registry[name];
+        }
+
+        options = options instanceof Object ? options : {};
+        
+        const widgets = { counter : 'line', gauge : 'area', histogram : 'line' };
+        const metric = {
+            kind : kind,
+            key : name,
+            label : `${options.label || name}${options.suffix ? ` {{}}${options.suffix}` : ''}`,
+            widget : options.widget || widgets[kind],
+            percentiles : options.percentiles instanceof Array ? options.percentiles : ['p50', 'p95', 'p99'],
+            value : 0,
+            values : [],
+            count : 0,
+            sum : 0,
+            max : 0
+        };
+
+        this.registry[name] = metric;
+        return metric;
+    }
+
+    /**
+     * Compile the application metrics registry into the metrics list format used by the API
+     * 
+     * Counters and histograms are reset once compiled (unless peeking), gauges keep their value
+     * 
+     * @param bool peek Read the current values without resetting them
+     * 
+     * @return array
+     */
+    registryMetrics(peek){
+        const list = [];
+
+        for(let name in this.registry){
+            const metric = this.registry[name];
+            switch(metric.kind){
+                case 'counter':
+                    list.push({
+                        key : metric.key,
+                        value : metric.value,
+                        label : metric.label,
+                        type : 'counter',
+                        widget : metric.widget
+                    });
+                    if(!peek){
+                        metric.value = 0;
+                    }
+                    break;
+                case 'gauge':
+                    list.push({
+                        key : metric.key,
+                        value : metric.value,
+                        label : metric.label,
+                        type : 'average',
+                        widget : metric.widget
+                    });
+                    break;
+                case 'histogram':
+                    if(metric.count){
+                        list.push({
+                            key : metric.key,
+                            value : parseFloat((metric.sum / metric.count).toFixed(2)),
+                            label : metric.label,
+                            type : 'average',
+                            widget : metric.widget
+                        });
+
+                        for(let aggregate of metric.percentiles.concat(['max'])){
+                            list.push({
+                                key : `${metric.key}_${aggregate}`,
+                                value : aggregate === 'max' ? parseFloat(metric.max.toFixed(2)) : this.aggregate(metric.values, aggregate),
+                                label : this.labelSuffix(metric.label, `(${aggregate})`),
+                                type : 'average',
+                                widget : metric.widget
+                            });
+                        }
+
+                        list.push({
+                            key : `${metric.key}_count`,
+                            value : Math.round(metric.count),
+                            label : this.labelSuffix(metric.label.replace(/\s*\{\{\}\}.*$/, ''), '(count)'),
+                            type : 'counter',
+                            widget : metric.widget
+                        });
+
+                        if(!peek){
+                            metric.values = [];
+                            metric.count = 0;
+                            metric.sum = 0;
+                            metric.max = 0;
+                        }
+                    }
+                    break;
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * Get list of monitors linked to your account
+     * 
+     * This will include some surface level data, which might be helpful for determining your own internal actions
+     * 
+     * This does not return the data, but instead dispatches the data via an event 
+     * 
+     * Only requires an API key, so it can be used before a monitor is set
+     * 
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    getMonitors(options){
+        return new Promise((resolve, reject) => {
+            if(this.configuration.apikey){
+                const data = {
+                    apikey : this.configuration.apikey,
+                };
+        
+                this.trigger('monitors');
+        
+                this.get('sites/', data, options).then((response) => {
+                    this.log(`Monitors request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'monitors.complete' });
+                    this.trigger('monitors.complete', response);
+
+                    resolve(response);
+                }).catch((error) => {
+                    this.log(`Monitors request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                    reject(error);
+                });
+            } else {
+                reject(new TetheredValidationError("API key is missing from configuration"));
+            }
+        });
+    }
+
+    /**
+     * Get a single monitor linked to your account
+     * 
+     * @param number id The monitor ID
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    getMonitor(id, options){
+        return this.monitorRequest('fetch', 'get', { id : parseInt(id) }, !!id, options);
+    }
+
+    /**
+     * Create a new monitor on your account
+     * 
+     * Fields are sent to the API as they are, for example name and type
+     * 
+     * @param object fields The monitor fields
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    createMonitor(fields, options){
+        return this.monitorRequest('create', 'post', Object.assign({}, fields), fields instanceof Object, options);
+    }
+
+    /**
+     * Update an existing monitor on your account
+     * 
+     * @param number id The monitor ID
+     * @param object fields The fields to update
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    updateMonitor(id, fields, options){
+        return this.monitorRequest('update', 'post', Object.assign({}, fields, { id : parseInt(id) }), !!id && fields instanceof Object, options);
+    }
+
+    /**
+     * Delete a monitor from your account
+     * 
+     * @param number id The monitor ID
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    deleteMonitor(id, options){
+        return this.monitorRequest('delete', 'delete', { id : parseInt(id) }, !!id, options);
+    }
+
+    /**
+     * Find a monitor by name, creating it if it does not exist, and set it as the active monitor 
+     * 
+     * Safe to call on every boot, which allows a new server to register itself without a pre-created monitor ID. If the instance was 
+     * waiting for a monitor ID, it becomes ready and starts scheduling once this completes
+     * 
+     * A monitor ID which is already configured is kept, unless replace is set, so a name that matches another monitor can't silently 
+     * redirect the instance. A warning is logged when the IDs differ
+     * 
+     * The promise resolves with an object containing the monitor id, whether it was created, whether it is now the active monitor, and the monitor data
+     * 
+     * @param object fields The monitor fields, name is required, and type defaults to 'machine'
+     * @param bool replace Make the monitor active, even when a different monitor ID is already configured. Defaults to false
+     * 
+     * @return Promise
+     */
+    ensureMonitor(fields, replace){
+        return new Promise((resolve, reject) => {
+            if(!(fields instanceof Object) || !fields.name){
+                reject(new TetheredValidationError("Missing required field 'name'"));
+                return;
+            }
+
+            fields = Object.assign({ type : 'machine' }, fields);
+
+            this.getMonitors().then((response) => {
+                const data = response && response.data ? response.data : [];
+                const monitors = data instanceof Array ? data : (data.sites || data.monitors || data.data || []);
+
+                const existing = (monitors instanceof Array ? monitors : []).find((monitor) => {
+                    return monitor instanceof Object && monitor.name === fields.name && (!monitor.type || monitor.type === fields.type);
+                });
+
+                if(existing && existing.id){
+                    return { id : parseInt(existing.id), created : false, monitor : existing };
+                }
+
+                return this.createMonitor(fields).then((created) => {
+                    const id = this.responseId(created);
+                    if(!id){
+                        throw new TetheredError("Monitor created, but no ID was returned", { status : created.status, endpoint : 'site/', body : created.data });
+                    }
+                    return { id : id, created : true, monitor : created.data };
+                });
+            }).then((result) => {
+                const current = parseInt(this.configuration.monitorId) || 0;
+                result.active = !current || current === result.id || replace === true;
+
+                if(result.active){
+                    this.setMonitor(result.id);
+                } else {
+                    this.log(`Monitor '${fields.name}' (${result.id}) does not match the configured monitor (${current}), which is kept. Pass replace to switch`, TetheredUptime.LOG_LEVELS.WARN, { event : 'monitor.ensured' });
+                }
+
+                this.log(`Monitor '${fields.name}' ${result.created ? 'created' : 'found'} (${result.id})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'monitor.ensured' });
+                this.trigger('monitor.ensured', result);
+
+                resolve(result);
+            }).catch((error) => {
+                this.log(`Monitor could not be ensured`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Make a request to the single monitor endpoint, shared by the monitor management methods
+     * 
+     * Triggers 'monitor.{action}' before, and 'monitor.{action}.complete' after the request
+     * 
+     * @param string action The action being taken, used for events and logs
+     * @param string method The request helper to use: get, post or delete
+     * @param object fields The fields to send, the API key is added automatically
+     * @param bool valid Whether the required fields were provided
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    monitorRequest(action, method, fields, valid, options){
+        return new Promise((resolve, reject) => {
+            if(this.configuration.apikey){
+                if(valid){
+                    const data = Object.assign({}, fields, { apikey : this.configuration.apikey });
+
+                    this.trigger(`monitor.${action}`, fields);
+
+                    this[method]('site/', data, options).then((response) => {
+                        this.log(`Monitor ${action} request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : `monitor.${action}.complete` });
+                        this.trigger(`monitor.${action}.complete`, response);
+
+                        resolve(response);
+                    }).catch((error) => {
+                        this.log(`Monitor ${action} request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                        reject(error);
+                    });
+                } else {
+                    reject(new TetheredValidationError("Missing required monitor fields"));
+                }
+            } else {
+                reject(new TetheredValidationError("API key is missing from configuration"));
+            }
+        });
+    }
+
+    /**
+     * Get list of incidents linked to your account
+     * 
+     * This will return paginated results, meaning you can pass a page paramater
+     * 
+     * @param number page The page to be loaded, if left empty, will default to 1
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    getIncidents(page, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                page = typeof page === 'undefined' ? 1 : parseInt(page);
+
+                const data = {
+                    apikey : this.configuration.apikey,
+                    page : page
+                };
+        
+                this.trigger('incidents');
+        
+                this.get('incidents/', data, options).then((response) => {
+                    this.log(`Incidents request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'incidents.complete' });
+                    this.trigger('incidents.complete', response);
+
+                    resolve(response);
+                }).catch((error) => {
+                    this.log(`Incidents request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                    reject(error);
+                });
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Create an incident
+     * 
+     * To update an existing incident, use the updateIncident or resolveIncident methods instead
+     * 
+     * @param string title The title of the incident
+     * @param string description The description of the incident
+     * @param string source The source of the incident, for example "NodeJS Server". Will default to "api" if not set
+     * @param number status The status to set this to, defaults to 0 (ongoing)
+     * @param number|string monitor Optional monitor ID, or name from the 'monitors' option, to link the incident to. Defaults to the configured monitor
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    pushIncident(title, description, source, status, monitor, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                const monitorId = this.resolveMonitor(monitor);
+                if(!monitorId){
+                    reject(this.monitorError(monitor));
+                    return;
+                }
+
+                title = typeof title !== "undefined" ? title : false;
+                description = typeof description !== "undefined" ? description : false;
+                source = typeof source !== "undefined" ? source : false;
+                status = typeof status !== "undefined" ? status : 0;
+                
+                if(title && description){
+                    const data = {
+                        apikey : this.configuration.apikey,
+                        siteid : monitorId,
+                        incident_title : title,
+                        data_description : description
+                    };
+
+                    if(source){
+                        data.incident_source = source;
+                    }
+
+                    if(status){
+                        data.status = status;
+                    }
+
+                    this.trigger('incident');
+
+                    this.dispatch('incident/', data, options).then((response) => {
+                        this.log(`Incident creation request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'incident.complete' });
+                        this.trigger('incident.complete', response);
+    
+                        resolve(response);
+                    }).catch((error) => {
+                        this.log(`Incident creation request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                        reject(error);
+                    });
+                } else {
+                    reject(new TetheredValidationError("Missing required fields 'title', 'description'"));
+                }
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Update an existing incident
+     * 
+     * Supported fields: 
+     * - title       : The title of the incident
+     * - description : The description of the incident
+     * - source      : The source of the incident
+     * - status      : The status of the incident, see INCIDENT_STATUS static variable
+     * - note        : A note to attach to the update
+     * 
+     * Any other fields are sent to the API as they are
+     * 
+     * @param number id The incident ID
+     * @param object fields The fields to update
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    updateIncident(id, fields, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                if(id && fields instanceof Object){
+                    const mapping = {
+                        title : 'incident_title',
+                        description : 'data_description',
+                        source : 'incident_source',
+                        note : 'incident_note'
+                    };
+
+                    const data = {
+                        apikey : this.configuration.apikey,
+                        id : parseInt(id)
+                    };
+
+                    for(let field in fields){
+                        if(typeof fields[field] !== 'undefined'){
+                            data[mapping[field] || field] = fields[field];
+                        }
+                    }
+
+                    this.trigger('incident.update', data);
+
+                    this.dispatch('incident/', data, options).then((response) => {
+                        this.log(`Incident update request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'incident.update.complete' });
+                        this.trigger('incident.update.complete', response);
+
+                        resolve(response);
+                    }).catch((error) => {
+                        this.log(`Incident update request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                        reject(error);
+                    });
+                } else {
+                    reject(new TetheredValidationError("Missing required fields 'id', 'fields'"));
+                }
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Resolve an existing incident
+     * 
+     * @param number id The incident ID
+     * @param string note Optional resolution note
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    resolveIncident(id, note, options){
+        return this.updateIncident(id, {
+            status : TetheredUptime.INCIDENT_STATUS.RESOLVED,
+            note : note
+        }, options);
+    }
+
+    /**
+     * Get a single incident linked to your account
+     * 
+     * @param number id The incident ID
+     * @param object options Optional request options (signal, timeout), see request method
+     * 
+     * @return Promise
+     */
+    getIncident(id, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                if(id){
+                    const data = {
+                        apikey : this.configuration.apikey,
+                        id : parseInt(id)
+                    };
+
+                    this.trigger('incident.fetch');
+
+                    this.get('incident/', data, options).then((response) => {
+                        this.log(`Incident request completed (${response.status})`, TetheredUptime.LOG_LEVELS.INFO, { event : 'incident.fetch.complete' });
+                        this.trigger('incident.fetch.complete', response);
+
+                        resolve(response);
+                    }).catch((error) => {
+                        this.log(`Incident request failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+                        reject(error);
+                    });
+                } else {
+                    reject(new TetheredValidationError("Missing required field 'id'"));
+                }
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Iterate over all incidents linked to your account, loading each page as needed
+     * 
+     * Use with for await, for example: for await (const incident of tethered.incidents({ status : 0 })) 
+     * 
+     * Supported filters: 
+     * - status    : Only include incidents with this status, see INCIDENT_STATUS static variable
+     * - monitorId : Only include incidents for this monitor, by ID or name from the 'monitors' option. Pass true to use the configured monitor
+     * 
+     * Paging stops at the last page reported by the API. If the response has no page count, it stops at an empty page, a page with fewer 
+     * incidents than the first one, or a page repeating the previous one, so an API that ignores the page parameter can't loop forever
+     * 
+     * @param object filters Optional filters
+     * 
+     * @return AsyncGenerator
+     */
+    async *incidents(filters){
+        filters = filters instanceof Object ? filters : {};
+
+        const monitorId = filters.monitorId === true ? this.configuration.monitorId : (typeof filters.monitorId !== 'undefined' ? this.resolveMonitor(filters.monitorId) : undefined);
+        
+        let page = 1;
+        let size = 0;
+        let previous = false;
+        while(true){
+            const response = await this.getIncidents(page);
+            const data = response && response.data ? response.data : [];
+            
+            let items = data;
+            if(!(items instanceof Array)){
+                items = data.incidents || data.data || data.results || [];
+            }
+
+            if(!(items instanceof Array) || !items.length){
+                return;
+            }
+
+            const ids = JSON.stringify(items.map((incident) => incident instanceof Object && typeof incident.id !== 'undefined' ? incident.id : incident));
+            if(ids === previous){
+                return;
+            }
+            previous = ids;
+
+            for(let incident of items){
+                if(typeof filters.status !== 'undefined' && parseInt(incident.status) !== parseInt(filters.status)){
+                    continue;
+                }
+
+                if(typeof monitorId !== 'undefined'){
+                    const incidentMonitor = incident.siteid || incident.site_id || incident.site || incident.monitor_id;
+                    if(parseInt(incidentMonitor) !== parseInt(monitorId)){
+                        continue;
+                    }
+                }
+
+                yield incident;
+            }
+
+            const pages = parseInt(data.pages || data.last_page || data.total_pages);
+            if(pages && page >= pages){
+                return;
+            }
+
+            size = size || parseInt(data.per_page) || items.length;
+            if(!pages && items.length < size){
+                return;
+            }
+
+            page++;
+        }
+    }
+
+    /**
+     * Evaluate the configured threshold rules against the latest metric values
+     * 
+     * Rules can be defined as a string, for example "cpu > 90 for 3" or "disk_/ > 95", or as an object. See the rule method for the format
+     * 
+     * When a rule is breached for the required number of consecutive syncs, an incident is opened. Once the value recovers, that incident is resolved. 
+     * An incident is only ever opened once per breach
+     * 
+     * @param array list The final metrics list, after modifiers
+     * @param object system The snapshot the list was built from, used to match disks by mount name
+     * 
+     * @return void
+     */
+    evaluateRules(list, system){
+        const rules = this.configuration.rules instanceof Array ? this.configuration.rules : [];
+        if(!rules.length){
+            return;
+        }
+
+        const values = {};
+        if(system && system.disks instanceof Array){
+            for(let disk of system.disks){
+                values[`disk_${disk.name}`] = disk.capacity;
+            }
+        }
+
+        for(let metric of (list instanceof Array ? list : [])){
+            values[metric.key] = parseFloat(metric.value);
+        }
+
+        for(let definition of rules){
+            const rule = this.rule(definition);
+            if(!rule || typeof values[rule.metric] === 'undefined' || isNaN(values[rule.metric])){
+                continue;
+            }
+
+            if(typeof this.ruleState[rule.id] === 'undefined'){
+                this.ruleState[rule.id] = { breaches : 0, open : false, incident : false, opening : false };
+            }
+
+            const state = this.ruleState[rule.id];
+            const value = values[rule.metric];
+            const context = Object.assign({}, rule, { value : value });
+
+            if(this.compare(value, rule.operator, rule.threshold)){
+                state.breaches++;
+
+                if(!state.open && state.breaches >= rule.for){
+                    state.open = true;
+
+                    this.log(`Rule breached: ${rule.id}`, TetheredUptime.LOG_LEVELS.WARN, { event : 'rule.breached' });
+                    this.trigger('rule.breached', context);
+
+                    /* Kept until the incident is resolved, as the rule can recover before the API responds with the incident ID */
+                    const opening = this.pushIncident(this.render(rule.title, context), this.render(rule.description, context), rule.source).then((response) => {
+                        return this.responseId(response);
+                    }).catch(() => {
+                        return false;
+                    });
+                    state.opening = opening;
+
+                    opening.then((id) => {
+                        if(state.opening !== opening){
+                            return;
+                        }
+
+                        if(id){
+                            state.incident = id;
+                        } else {
+                            /* Allow another attempt on the next sync */
+                            state.open = false;
+                            state.opening = false;
+                        }
+                    });
+                }
+            } else {
+                state.breaches = 0;
+
+                if(state.open){
+                    state.open = false;
+
+                    this.log(`Rule recovered: ${rule.id}`, TetheredUptime.LOG_LEVELS.INFO, { event : 'rule.recovered' });
+                    this.trigger('rule.recovered', Object.assign(context, { incident : state.incident }));
+
+                    const note = this.render("{{metric}} recovered, now reporting {{value}}", context);
+                    state.opening.then((id) => {
+                        if(id){
+                            this.resolveIncident(id, note).then(() => {}).catch(() => {});
+                        } else {
+                            this.log(`Incident for rule ${rule.id} could not be resolved, no incident ID was returned when it was opened`, TetheredUptime.LOG_LEVELS.WARN);
+                        }
+                    });
+
+                    state.incident = false;
+                    state.opening = false;
+                }
+            }
+        }
+    }
+
+    /**
+     * Normalize a threshold rule definition 
+     * 
+     * String rules use the format "metric operator threshold", optionally followed by "for count", for example "cpu > 90 for 3"
+     * 
+     * Object rules support: 
+     * - metric      : The metric key to check, disks can also be matched by mount name, for example "disk_/"
+     * - operator    : One of >, >=, <, <=, ==, !=. Defaults to >
+     * - threshold   : The value to compare against
+     * - for         : The number of consecutive syncs the rule must be breached for, defaults to 1
+     * - title       : The incident title, supports {{metric}}, {{value}}, {{operator}}, {{threshold}} and {{for}} placeholders
+     * - description : The incident description, supports the same placeholders
+     * - source      : The incident source, defaults to "NodeJS"
+     * 
+     * @param string|object definition The rule definition
+     * 
+     * @return object|bool
+     */
+    rule(definition){
+        if(typeof definition === 'string'){
+            const match = definition.trim().match(/^(\S+)\s*(>=|<=|==|!=|>|<)\s*(-?[\d.]+)(?:\s+for\s+(\d+))?$/);
+            if(!match){
+                this.log(`Invalid rule '${definition}'`, TetheredUptime.LOG_LEVELS.WARN);
+                return false;
+            }
+
+            definition = {
+                metric : match[1],
+                operator : match[2],
+                threshold : match[3],
+                for : match[4]
+            };
+        }
+
+        if(!(definition instanceof Object) || !definition.metric || isNaN(parseFloat(definition.threshold))){
+            return false;
+        }
+
+        const rule = {
+            metric : definition.metric,
+            operator : definition.operator || '>',
+            threshold : parseFloat(definition.threshold),
+            for : Math.max(1, parseInt(definition.for) || 1),
+            source : definition.source || "NodeJS"
+        };
+
+        rule.id = definition.name || `${rule.metric} ${rule.operator} ${rule.threshold} for ${rule.for}`;
+        rule.title = definition.title || "{{metric}} is {{operator}} {{threshold}}";
+        rule.description = definition.description || "{{metric}} reported {{value}}, which breached the rule '{{metric}} {{operator}} {{threshold}}' for {{for}} consecutive sync(s)";
+
+        return rule;
+    }
+
+    /**
+     * Compare a value against a threshold
+     * 
+     * @param number value The current value
+     * @param string operator The comparison operator
+     * @param number threshold The threshold value
+     * 
+     * @return bool
+     */
+    compare(value, operator, threshold){
+        switch(operator){
+            case '>': return value > threshold;
+            case '>=': return value >= threshold;
+            case '<': return value < threshold;
+            case '<=': return value <= threshold;
+            case '==': return value === threshold;
+            case '!=': return value !== threshold;
+        }
+        return false;
+    }
+
+    /**
+     * Replace {{placeholder}} tags in a template with values from a context object
+     * 
+     * Unknown placeholders are left in place
+     * 
+     * @param string template The template to render
+     * @param object context The values available to the template
+     * 
+     * @return string
+     */
+    render(template, context){
+        return `${template}`.replace(/\{\{(\w+)\}\}/g, (tag, name) => {
+            return typeof context[name] !== 'undefined' ? `${context[name]}` : tag;
+        });
+    }
+
+    /**
+     * Get the ID of a created record, like an incident or monitor, from an API response
+     * 
+     * @param object response The response from the API
+     * 
+     * @return number|bool
+     */
+    responseId(response){
+        const data = response && response.data instanceof Object ? response.data : {};
+        const id = data.id || data.incident_id || (data.data instanceof Object ? data.data.id : false);
+        return id ? parseInt(id) : false;
+    }
+
+    /**
+     * Create an Express middleware, which records request counts, latency and errors
+     * 
+     * Requests are grouped by the matched route, for example '/users/:id'. Requests without a matched route are grouped as 'other'
+     * 
+     * Supported options: 
+     * - route : A function which receives the request, and returns the route name to group it under
+     * 
+     * @param object options Optional middleware options
+     * 
+     * @return function
+     */
+    express(options){
+        options = options instanceof Object ? options : {};
+
+        return (req, res, next) => {
+            const started = process.hrtime.bigint();
+            res.once('finish', () => {
+                let route = 'other';
+                if(typeof options.route === 'function'){
+                    route = options.route(req);
+                } else if(req.route && req.route.path){
+                    route = `${req.baseUrl || ''}${req.route.path}`;
+                }
+
+                this.recordRequest(route, res.statusCode, Number(process.hrtime.bigint() - started) / 1e6);
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Create a Koa middleware, which records request counts, latency and errors
+     * 
+     * Requests are grouped by the matched route when using @koa/router, otherwise as 'other'. Thrown errors are recorded as a 500, unless they 
+     * carry their own status
+     * 
+     * Supports the same options as the express method, where the route function receives the Koa context
+     * 
+     * @param object options Optional middleware options
+     * 
+     * @return function
+     */
+    koa(options){
+        options = options instanceof Object ? options : {};
+
+        return (ctx, next) => {
+            const started = process.hrtime.bigint();
+            const record = (status) => {
+                const route = typeof options.route === 'function' ? options.route(ctx) : (ctx._matchedRoute || 'other');
+                this.recordRequest(route, status, Number(process.hrtime.bigint() - started) / 1e6);
+            };
+
+            return Promise.resolve(next()).then(() => {
+                record(ctx.status);
+            }).catch((error) => {
+                record(error && error.status ? error.status : 500);
+                throw error;
+            });
+        };
+    }
+
+    /**
+     * Instrument a NodeJS HTTP(S) server, recording request counts, latency and errors 
+     * 
+     * Works with any framework built on the http module. Without a route option, all requests are grouped as 'other'
+     * 
+     * Supports the same options as the express method
+     * 
+     * @param object server The http.Server instance to instrument
+     * @param object options Optional options
+     * 
+     * @return object The server
+     */
+    instrument(server, options){
+        options = options instanceof Object ? options : {};
+
+        server.on('request', (req, res) => {
+            const started = process.hrtime.bigint();
+            res.once('finish', () => {
+                const route = typeof options.route === 'function' ? options.route(req) : 'other';
+                this.recordRequest(route, res.statusCode, Number(process.hrtime.bigint() - started) / 1e6);
+            });
+        });
+
+        return server;
+    }
+
+    /**
+     * Record a single HTTP request for the current window
+     * 
+     * Latencies are kept in a fixed size reservoir per route, so memory use stays flat on busy servers
+     * 
+     * @param string route The route the request is grouped under
+     * @param number status The response status code
+     * @param number duration The request duration, in milliseconds
+     * 
+     * @return void
+     */
+    recordRequest(route, status, duration){
+        const record = (bucket) => {
+            bucket.count++;
+            if(status >= 500){
+                bucket.errors++;
+            }
+
+            if(bucket.latencies.length < 10000){
+                bucket.latencies.push(duration);
+            } else {
+                const index = Math.floor(Math.random() * bucket.count);
+                if(index < bucket.latencies.length){
+                    bucket.latencies[index] = duration;
+                }
+            }
+
+            bucket.time += duration;
+        };
+
+        record(this._http.total);
+
+        this._httpStatus.count++;
+        this._httpStatus.time += duration;
+        if(status >= 500){
+            this._httpStatus.errors++;
+        }
+
+        if(this.configuration.http.routes && route){
+            if(typeof this._http.routes[route] === 'undefined'){
+                this._http.routes[route] = { count : 0, errors : 0, time : 0, latencies : [] };
+            }
+            record(this._http.routes[route]);
+        }
+    }
+
+    /**
+     * Clear the HTTP request window
+     * 
+     * @return void
+     */
+    resetHttp(){
+        this._http = {
+            total : { count : 0, errors : 0, time : 0, latencies : [] },
+            routes : {}
+        };
+    }
+
+    /**
+     * Clear the HTTP status window
+     * 
+     * Kept apart from the request window, as metrics and statuses can be sent on different schedules. Cleared once a status has been sent 
+     * for the configured monitor, or reported to the cluster primary
+     * 
+     * @return void
+     */
+    resetHttpStatus(){
+        this._httpStatus = { count : 0, errors : 0, time : 0 };
+    }
+
+    /**
+     * Get the status code and time to report, based on the HTTP requests observed since the last status
+     * 
+     * Returns false if the 'http.status' option is disabled, or no requests have been observed in the current status window
+     * 
+     * @return object|bool
+     */
+    httpStatus(){
+        const total = this._httpStatus;
+        if(!this.configuration.http.status || !total || !total.count){
+            return false;
+        }
+
+        const errorRate = (total.errors / total.count) * 100;
+        return {
+            code : errorRate > parseFloat(this.configuration.http.errorRate) ? 500 : 200,
+            time : Math.round(total.time / total.count)
+        };
+    }
+
+    /**
+     * Compile the observed HTTP requests into the metrics list format used by the API, and start a new window
+     * 
+     * @param bool peek Read the current window without starting a new one
+     * 
+     * @return array
+     */
+    httpMetrics(peek){
+        const list = [];
+        const http = this._http;
+        if(!http || !http.total.count){
+            return list;
+        }
+
+        const percentiles = this.configuration.http.percentiles instanceof Array ? this.configuration.http.percentiles : [];
+        const compile = (bucket, suffix, name) => {
+            list.push({
+                key : `http_requests${suffix}`,
+                value : bucket.count,
+                label : `Requests${name}`,
+                type : 'counter',
+                widget : 'line'
+            });
+
+            list.push({
+                key : `http_error_rate${suffix}`,
+                value : parseFloat(((bucket.errors / bucket.count) * 100).toFixed(2)),
+                label : `Error Rate${name}`,
+                type : 'percentage',
+                widget : 'line'
+            });
+
+            list.push({
+                key : `http_latency${suffix}`,
+                value : parseFloat((bucket.time / bucket.count).toFixed(2)),
+                label : `Latency${name} {{}}ms`,
+                type : 'average',
+                widget : 'line'
+            });
+
+            for(let percentile of percentiles){
+                list.push({
+                    key : `http_latency${suffix}_${percentile}`,
+                    value : this.aggregate(bucket.latencies, percentile),
+                    label : `Latency${name} (${percentile}) {{}}ms`,
+                    type : 'average',
+                    widget : 'line'
+                });
+            }
+        };
+
+        compile(http.total, '', '');
+
+        for(let route in http.routes){
+            const slug = `${route}`.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+            compile(http.routes[route], `_${slug}`, ` ${route}`);
+        }
+
+        if(!peek){
+            this.resetHttp();
+        }
+        return list;
+    }
+
+    /**
+     * Start the local Prometheus exporter, if enabled in the configuration
+     * 
+     * Serves the same metrics list that pushMetrics sends, in the Prometheus text format, on the configured host, port and path. Scrapes reuse 
+     * a recent snapshot (see scrapeSources), and do not reset the sampling window, registry or HTTP figures, so pushes to Tethered are unaffected
+     * 
+     * Supported options (prometheus): 
+     * - enabled : Start the exporter, defaults to false
+     * - port    : Port to listen on, defaults to 9464
+     * - host    : Address to listen on, defaults to "127.0.0.1". Use "0.0.0.0" to allow scrapes from other machines
+     * - path    : Path the metrics are served on, defaults to "/metrics"
+     * - prefix  : Prefix added to each metric name, defaults to "tethered_"
+     * - cache   : Seconds a system snapshot and target scrape are reused for, defaults to 15. Use 0 to take a new snapshot on every scrape
+     * 
+     * Safe to call more than once, the exporter is only started once
+     * 
+     * @return void
+     */
+    startExporter(){
+        const options = this.configuration.prometheus;
+        if(!options.enabled || this._exporter){
+            return;
+        }
+
+        this._exporter = nodeHttp.createServer((request, response) => {
+            const pathname = `${request.url}`.split('?')[0];
+            if(pathname !== options.path){
+                response.writeHead(404, { 'Content-Type' : 'text/plain' });
+                response.end("Not Found");
+                return;
+            }
+
+            if(request.method !== 'GET' && request.method !== 'HEAD'){
+                response.writeHead(405, { 'Content-Type' : 'text/plain', 'Allow' : 'GET, HEAD' });
+                response.end("Method Not Allowed");
+                return;
+            }
+
+            this.scrape().then((body) => {
+                response.writeHead(200, { 'Content-Type' : 'text/plain; version=0.0.4; charset=utf-8' });
+                response.end(request.method === 'HEAD' ? undefined : body);
+            }).catch((error) => {
+                this.log("Prometheus scrape failed", TetheredUptime.LOG_LEVELS.WARN, { error : error });
+
+                response.writeHead(500, { 'Content-Type' : 'text/plain' });
+                response.end("Scrape failed");
+            });
+        });
+
+        this._exporter.on('error', (error) => {
+            this.log(`Prometheus exporter failed: ${error.message}`, TetheredUptime.LOG_LEVELS.ERROR, { event : 'prometheus.error' });
+            this.trigger('prometheus.error', error);
+            this.stopExporter();
+        });
+
+        this._exporter.listen(options.port, options.host, () => {
+            if(!this._exporter){
+                return;
+            }
+
+            const address = this._exporter.address();
+            this.log(`Prometheus exporter listening on ${address.address}:${address.port}${options.path}`, TetheredUptime.LOG_LEVELS.INFO, { event : 'prometheus.started' });
+            this.trigger('prometheus.started', address);
+        });
+
+        /* The exporter should not keep the process alive by itself */
+        this._exporter.unref();
+    }
+
+    /**
+     * Stop the local Prometheus exporter, if it is running
+     * 
+     * @return void
+     */
+    stopExporter(){
+        if(this._exporter){
+            this._exporter.close();
+            this._exporter = false;
+
+            this.log("Prometheus exporter stopped", TetheredUptime.LOG_LEVELS.INFO, { event : 'prometheus.stopped' });
+            this.trigger('prometheus.stopped');
+        }
+    }
+
+    /**
+     * Build the current metrics list, and format it for Prometheus
+     * 
+     * Uses the same list as pushMetrics, including the 'metrics.list' modifier, but threshold rules are not evaluated. Application, HTTP, 
+     * sampling and cluster figures are read fresh on every scrape, without being reset
+     * 
+     * @return Promise Resolves with the exposition text
+     */
+    scrape(){
+        return new Promise((resolve, reject) => {
+            this.scrapeSources().then(([system, targets]) => {
+                return this.configuration.metricFlags ? this.metricsList(system, true, targets) : [];
+            }).then((list) => {
+                const body = this.exposition(list);
+
+                this.trigger('prometheus.scrape', list);
+                resolve(body);
+            }).catch((error) => {
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Get the system snapshot and target metrics used by the exporter 
+     * 
+     * A snapshot takes a second of CPU sampling, a disk check and a request to every target, so it is cached for the 'prometheus.cache' 
+     * period, and scrapes arriving together share a single snapshot. Metrics pushes also refresh the cache
+     * 
+     * @return Promise Resolves with the snapshot and the target metrics list
+     */
+    scrapeSources(){
+        const cache = this._scrapeCache;
+        const maxAge = (parseFloat(this.configuration.prometheus.cache) || 0) * 1000;
+
+        if(cache && (cache.pending || Date.now() - cache.at < maxAge)){
+            return cache.sources;
+        }
+
+        const sources = Promise.all([this.snapshot(true), this.collectTargets(true)]);
+        this._scrapeCache = { pending : true, sources : sources };
+
+        return sources.then((result) => {
+            if(this._scrapeCache && this._scrapeCache.sources === sources){
+                this.cacheScrapeSources(result[0], result[1]);
+            }
+            return result;
+        }).catch((error) => {
+            if(this._scrapeCache && this._scrapeCache.sources === sources){
+                this._scrapeCache = false;
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Store a snapshot and target metrics list for the exporter to reuse, see scrapeSources
+     * 
+     * @param object system The snapshot data, see snapshot method
+     * @param array targets Metrics scraped from Prometheus/OpenMetrics targets
+     * 
+     * @return void
+     */
+    cacheScrapeSources(system, targets){
+        this._scrapeCache = { pending : false, at : Date.now(), sources : Promise.resolve([system, targets]) };
+    }
+
+    /**
+     * Format a metrics list in the Prometheus text exposition format 
+     * 
+     * Keys are prefixed and sanitized into metric names, labels become the HELP text and 'counter' metrics are typed as counters, 
+     * everything else is a gauge. Note that counters restart from 0 after every push to Tethered
+     * 
+     * @param array list The metrics list, in the format used by the API
+     * 
+     * @return string
+     */
+    exposition(list){
+        const prefix = this.configuration.prometheus.prefix || '';
+        const grouped = {};
+
+        for(let metric of (list || [])){
+            if(!metric || typeof metric.key === 'undefined' || isNaN(parseFloat(metric.value))){
+                continue;
+            }
+
+            const name = `${prefix}${metric.key}`.replace(/[^a-zA-Z0-9_:]/g, '_').replace(/^([0-9])/, '_$1');
+            if(typeof grouped[name] === 'undefined'){
+                const help = `${metric.label || metric.key}`.replace(/\s*\{\{\}\}\s*/g, ' ').trim();
+                grouped[name] = {
+                    help : help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'),
+                    type : metric.type === 'counter' ? 'counter' : 'gauge'
+                };
+            }
+
+            /* Later entries win, matching how the API treats duplicate keys */
+            grouped[name].value = parseFloat(metric.value);
+        }
+
+        const lines = [];
+        for(let name in grouped){
+            lines.push(`# HELP ${name} ${grouped[name].help}`);
+            lines.push(`# TYPE ${name} ${grouped[name].type}`);
+            lines.push(`${name} ${grouped[name].value}`);
+        }
+
+        return lines.length ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Start the StatsD listener, if enabled in the configuration
+     * 
+     * Incoming packets are aggregated in the application metrics registry between syncs, so they are sent by pushMetrics (and served by the 
+     * Prometheus exporter) alongside everything else. See ingestStatsd for the supported formats
+     * 
+     * Supported options (statsd): 
+     * - enabled     : Start the listener, defaults to false
+     * - port        : UDP port to listen on, defaults to 8125
+     * - host        : Address to listen on, defaults to "127.0.0.1". Use "0.0.0.0" to accept packets from other machines
+     * - prefix      : Prefix added to each key, defaults to none
+     * - percentiles : The percentiles sent for timers, defaults to ['p50', 'p95', 'p99']
+     * - maxKeys     : The maximum number of distinct keys accepted from StatsD, defaults to 1000. Lines for new keys beyond this are skipped
+     * 
+     * Safe to call more than once, the listener is only started once
+     * 
+     * @return void
+     */
+    startStatsd(){
+        const options = this.configuration.statsd;
+        if(!options.enabled || this._statsd){
+            return;
+        }
+
+        this._statsd = dgram.createSocket(net.isIPv6(options.host) ? 'udp6' : 'udp4');
+
+        this._statsd.on('message', (message) => {
+            this.ingestStatsd(message);
+        });
+
+        this._statsd.on('error', (error) => {
+            this.log(`StatsD listener failed: ${error.message}`, TetheredUptime.LOG_LEVELS.ERROR, { event : 'statsd.error' });
+            this.trigger('statsd.error', error);
+            this.stopStatsd();
+        });
+
+        this._statsd.bind(options.port, options.host, () => {
+            if(!this._statsd){
+                return;
+            }
+
+            const address = this._statsd.address();
+            this.log(`StatsD listening on ${address.address}:${address.port}`, TetheredUptime.LOG_LEVELS.INFO, { event : 'statsd.started' });
+            this.trigger('statsd.started', address);
+        });
+
+        /* The listener should not keep the process alive by itself */
+        this._statsd.unref();
+    }
+
+    /**
+     * Stop the StatsD listener, if it is running
+     * 
+     * @return void
+     */
+    stopStatsd(){
+        if(this._statsd){
+            this._statsd.close();
+            this._statsd = false;
+
+            this.log("StatsD listener stopped", TetheredUptime.LOG_LEVELS.INFO, { event : 'statsd.stopped' });
+            this.trigger('statsd.stopped');
+        }
+    }
+
+    /**
+     * Add a StatsD packet to the application metrics registry
+     * 
+     * Packets can hold multiple lines, each in the format 'name:value|type', with an optional sample rate ('|@0.1'). DogStatsD tags ('|#tag') are ignored
+     * 
+     * Supported types: 
+     * - c         : Counter, sent as a counter. Sampled values are scaled up by the sample rate
+     * - g         : Gauge, sent as an average. Values starting with + or - adjust the current value
+     * - ms, h, d  : Timer, sent as an average with percentile, max and count summaries. Sampled values are weighted by the sample rate
+     * 
+     * Lines for new keys are skipped once the maxKeys limit is reached, so a client sending unique names can't grow the registry without limit
+     * 
+     * Keys are prefixed, and any characters other than letters, numbers and underscores are replaced, so 'api.requests' becomes 'api_requests'. 
+     * The original name is used as the label
+     * 
+     * Called automatically by the listener, but can be used to feed packets received elsewhere
+     * 
+     * @param string|Buffer packet The StatsD packet
+     * 
+     * @return int The number of lines added
+     */
+    ingestStatsd(packet){
+        const options = this.configuration.statsd;
+        let added = 0;
+
+        for(let line of `${packet}`.split(/\r?\n/)){
+            line = line.trim();
+            if(!line.length){
+                continue;
+            }
+
+            const parts = line.split('|');
+            const separator = parts[0].lastIndexOf(':');
+            const name = separator > 0 ? parts[0].substring(0, separator) : '';
+            const raw = separator > 0 ? parts[0].substring(separator + 1).trim() : '';
+            const type = parts.length > 1 ? parts[1].trim() : '';
+            const value = parseFloat(raw);
+
+            let rate = 1;
+            for(let part of parts.slice(2)){
+                if(part.startsWith('@')){
+                    rate = parseFloat(part.substring(1)) || 1;
+                }
+            }
+
+            if(!name.length || !isFinite(value)){
+                this.trigger('statsd.invalid', line);
+                continue;
+            }
+
+            const key = `${options.prefix || ''}${name}`.replace(/[^a-zA-Z0-9_]+/g, '_');
+            if(!this.statsdKeys.has(key) && this.statsdKeys.size >= options.maxKeys){
+                this.log(`StatsD line skipped: the limit of ${options.maxKeys} keys has been reached`, TetheredUptime.LOG_LEVELS.DEBUG, { event : 'statsd.invalid' });
+                this.trigger('statsd.invalid', line);
+                continue;
+            }
+
+            try {
+                switch(type){
+                    case 'c':
+                        this.counter(key, { label : name }).inc(value / rate);
+                        break;
+                    case 'g':
+                        if(raw.startsWith('+') || raw.startsWith('-')){
+                            this.gauge(key, { label : name }).inc(value);
+                        } else {
+                            this.gauge(key, { label : name }).set(value);
                         }
-        
-                        /* Check if disk is enabled, and add it to the list */
-                        if(this.configuration.metricFlags.includes(TetheredUptime.METRIC_FLAGS.DRIVE)){
-                            if(typeof system.disks !== 'undefined'){
-                                if(system.disks instanceof Array){
-                                    for(let diskIndex in system.disks){
-                                        const disk = system.disks[diskIndex];
-        
-                                        list.push({
-                                            key : `disk_${diskIndex}`,
-                                            value : disk.capacity,
-                                            label : `Disk ${disk.name}`,
-                                            type : 'percentage',
-                                            widget : 'pie'
-                                        });
-                                    }
-                                }
-                            }
+                        break;
+                    case 'ms':
+                    case 'h':
+                    case 'd':
+                        this.histogram(key, { label : name, suffix : type === 'ms' ? 'ms' : '', percentiles : options.percentiles }).observe(value, rate);
+                        break;
+                    default:
+                        this.trigger('statsd.invalid', line);
+                        continue;
+                }
+            } catch (ex) {
+                /* The key is already registered as a different kind */
+                this.log(`StatsD line skipped: ${ex.message}`, TetheredUptime.LOG_LEVELS.DEBUG, { event : 'statsd.invalid' });
+                this.trigger('statsd.invalid', line);
+                continue;
+            }
+
+            this.statsdKeys.add(key);
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * Detect the role of this process in a cluster 
+     * 
+     * - A 'port' in the cluster options makes this a worker, which reports over that MessagePort
+     * - Under PM2 (NODE_APP_INSTANCE is set), instance 0 is the primary. PM2 runs the cluster primary itself, so other instances have no channel to 
+     *   instance 0, and send their application metrics directly instead
+     * - Node cluster workers report to the primary over IPC
+     * - worker_threads workers report to the main thread over the parent port
+     * - Anything else is the primary
+     * 
+     * The 'role' cluster option overrides the detected role
+     * 
+     * @return object The role (see CLUSTER_ROLES static variable), the worker id, and the channel used to reach the primary (false when there is none)
+     */
+    clusterRole(){
+        const options = this.configuration.cluster;
+
+        let role = TetheredUptime.CLUSTER_ROLES.PRIMARY;
+        let id = 0;
+        let channel = false;
+
+        if(options.port){
+            role = TetheredUptime.CLUSTER_ROLES.WORKER;
+            id = workerThreads.isMainThread ? process.pid : workerThreads.threadId;
+            channel = options.port;
+        } else if(typeof process.env.NODE_APP_INSTANCE !== 'undefined'){
+            id = parseInt(process.env.NODE_APP_INSTANCE) || 0;
+            role = id === 0 ? TetheredUptime.CLUSTER_ROLES.PRIMARY : TetheredUptime.CLUSTER_ROLES.WORKER;
+        } else if(nodeCluster.isWorker){
+            role = TetheredUptime.CLUSTER_ROLES.WORKER;
+            id = nodeCluster.worker.id;
+            channel = process;
+        } else if(!workerThreads.isMainThread){
+            role = TetheredUptime.CLUSTER_ROLES.WORKER;
+            id = workerThreads.threadId;
+            channel = workerThreads.parentPort;
+        }
+
+        if(options.role){
+            role = options.role;
+        }
+
+        return { role : role, id : id, channel : channel };
+    }
+
+    /**
+     * Start cluster mode, if enabled in the configuration
+     * 
+     * In cluster mode, only the primary reports host resources and status. Workers send their application metrics (registry, StatsD and HTTP 
+     * middleware) and health to the primary, which merges them into its metrics list. See clusterRole for how the role is detected
+     * 
+     * Supported options (cluster): 
+     * - enabled  : Enable cluster mode, defaults to false
+     * - role     : Force the role, see CLUSTER_ROLES static variable. Detected automatically by default
+     * - merge    : How worker metrics are merged by the primary, see CLUSTER_MERGE static variable. Defaults to SUM
+     * - interval : Seconds between worker reports, defaults to 15. Workers that miss three reports are dropped
+     * - port     : A MessagePort to report to the primary over, for setups not covered by the automatic detection
+     * 
+     * Safe to call more than once, cluster mode is only started once
+     * 
+     * @return void
+     */
+    startCluster(){
+        const options = this.configuration.cluster;
+        if(!options.enabled || this._cluster){
+            return;
+        }
+
+        this._cluster = this.clusterRole();
+        this.clusterState = {};
+
+        if(this._cluster.role === TetheredUptime.CLUSTER_ROLES.PRIMARY){
+            if(nodeCluster.isPrimary){
+                this._clusterListener = (worker, message) => {
+                    this.receiveReport(message);
+                };
+                nodeCluster.on('message', this._clusterListener);
+            }
+
+            this.log("Cluster mode started as the primary", TetheredUptime.LOG_LEVELS.INFO, { event : 'cluster.started' });
+        } else if(this._cluster.channel){
+            this._clusterTimer = setInterval(() => {
+                this.report().then(() => {}).catch(() => {});
+            }, (parseFloat(options.interval) || 15) * 1000);
+
+            /* Reporting should not keep the worker alive by itself */
+            this._clusterTimer.unref();
+
+            this.log(`Cluster mode started as worker ${this._cluster.id}`, TetheredUptime.LOG_LEVELS.INFO, { event : 'cluster.started' });
+        } else {
+            this.log(`Cluster mode started as worker ${this._cluster.id}, without a channel to the primary. Application metrics are sent directly`, TetheredUptime.LOG_LEVELS.INFO, { event : 'cluster.started' });
+        }
+
+        this.trigger('cluster.started', { role : this._cluster.role, id : this._cluster.id });
+    }
+
+    /**
+     * Stop cluster mode, if it is running
+     * 
+     * @return void
+     */
+    stopCluster(){
+        if(this._cluster){
+            clearInterval(this._clusterTimer);
+            this._clusterTimer = false;
+
+            if(this._clusterListener){
+                nodeCluster.off('message', this._clusterListener);
+                this._clusterListener = false;
+            }
+
+            this._cluster = false;
+
+            this.log("Cluster mode stopped", TetheredUptime.LOG_LEVELS.INFO, { event : 'cluster.stopped' });
+            this.trigger('cluster.stopped');
+        }
+    }
+
+    /**
+     * Check if this process is running as a cluster worker
+     * 
+     * @return bool
+     */
+    isClusterWorker(){
+        return !!(this._cluster && this._cluster.role === TetheredUptime.CLUSTER_ROLES.WORKER);
+    }
+
+    /**
+     * Receive reports from a worker_threads Worker, or a MessagePort, on the primary
+     * 
+     * Node cluster workers are received automatically, this is only needed for threads
+     * 
+     * @param Worker|MessagePort worker The worker, or the port it reports over
+     * 
+     * @return function Call to stop receiving reports from the worker
+     */
+    attachWorker(worker){
+        const listener = (message) => {
+            this.receiveReport(message);
+        };
+
+        worker.on('message', listener);
+
+        return () => {
+            worker.off('message', listener);
+        };
+    }
+
+    /**
+     * Send this worker's application metrics and health to the primary
+     * 
+     * Called automatically on the cluster interval. The registry, HTTP middleware and HTTP status windows are reset, as the primary now holds the values. 
+     * The health is based on the HTTP middleware (see httpStatus), and can be changed with the 'cluster.health' modifier
+     * 
+     * @return Promise Resolves with the report sent
+     */
+    report(){
+        return new Promise((resolve, reject) => {
+            if(!this.isClusterWorker() || !this._cluster.channel){
+                reject(new TetheredValidationError("Not running as a cluster worker"));
+                return;
+            }
+
+            this.applyModifiersAsync('cluster.health', this.httpStatus() || null).then((health) => {
+                const message = {
+                    type : 'tethered.report',
+                    worker : this._cluster.id,
+                    pid : process.pid,
+                    health : health,
+                    metrics : this.registryMetrics().concat(this.httpMetrics())
+                };
+                this.resetHttpStatus();
+
+                this.trigger('cluster.report', message);
+
+                if(this._cluster.channel === process){
+                    process.send(message);
+                } else {
+                    this._cluster.channel.postMessage(message);
+                }
+
+                resolve(message);
+            }).catch((error) => {
+                this.log("Cluster report failed", TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Add a worker report to the cluster state, on the primary
+     * 
+     * Counters are added to any value already held for the worker, other types keep the latest value. Messages which are not reports are ignored, 
+     * so this can be passed any message from a custom transport
+     * 
+     * @param object message The report, see report method
+     * 
+     * @return bool Whether the message was a report
+     */
+    receiveReport(message){
+        if(!(message instanceof Object) || message.type !== 'tethered.report'){
+            return false;
+        }
+
+        const id = `${message.worker}`;
+        const state = this.clusterState[id] = this.clusterState[id] || { metrics : {} };
+        state.seen = Date.now();
+        state.pid = message.pid;
+        state.health = message.health instanceof Object ? message.health : null;
+
+        for(let metric of (message.metrics instanceof Array ? message.metrics : [])){
+            const existing = state.metrics[metric.key];
+            if(existing && metric.type === 'counter'){
+                existing.value = (parseFloat(existing.value) || 0) + (parseFloat(metric.value) || 0);
+            } else {
+                state.metrics[metric.key] = Object.assign({}, metric);
+            }
+        }
+
+        this.trigger('cluster.received', message);
+        return true;
+    }
+
+    /**
+     * Get the workers which are still reporting, on the primary
+     * 
+     * Workers that have not reported for three intervals are dropped, and the 'cluster.worker.lost' event is triggered
+     * 
+     * @return object The state of each worker, keyed by worker id
+     */
+    clusterWorkers(){
+        const state = this.clusterState || {};
+        const limit = (parseFloat(this.configuration.cluster.interval) || 15) * 3 * 1000;
+
+        for(let id in state){
+            if(Date.now() - state[id].seen > limit){
+                this.log(`Cluster worker ${id} stopped reporting`, TetheredUptime.LOG_LEVELS.WARN, { event : 'cluster.worker.lost' });
+                this.trigger('cluster.worker.lost', { worker : id, pid : state[id].pid });
+                delete state[id];
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Merge the metrics reported by workers into a metrics list, on the primary
+     * 
+     * With the SUM merge, counters are added together and other types are averaged, including the primary's own values. With the WORKER merge, 
+     * each worker's metrics are added separately, see workerMetric. A 'cluster_workers' metric is added with the number of reporting workers
+     * 
+     * @param array list The primary's metrics list
+     * @param bool peek Read the reported values without clearing them
+     * 
+     * @return array
+     */
+    clusterMetrics(list, peek){
+        if(!this._cluster || this._cluster.role !== TetheredUptime.CLUSTER_ROLES.PRIMARY){
+            return list;
+        }
+
+        const workers = this.clusterWorkers();
+        const merged = list.map((metric) => Object.assign({}, metric));
+
+        if(this.configuration.cluster.merge === TetheredUptime.CLUSTER_MERGE.WORKER){
+            for(let id in workers){
+                for(let metric of Object.values(workers[id].metrics)){
+                    merged.push(this.workerMetric(metric, id));
+                }
+            }
+        } else {
+            const combined = {};
+            for(let metric of merged){
+                combined[metric.key] = { metric : metric, values : [parseFloat(metric.value) || 0] };
+            }
+
+            for(let id in workers){
+                for(let metric of Object.values(workers[id].metrics)){
+                    if(!combined[metric.key]){
+                        combined[metric.key] = { metric : Object.assign({}, metric), values : [] };
+                        merged.push(combined[metric.key].metric);
+                    }
+                    combined[metric.key].values.push(parseFloat(metric.value) || 0);
+                }
+            }
+
+            for(let key in combined){
+                const values = combined[key].values;
+                const sum = values.reduce((total, value) => total + value, 0);
+                combined[key].metric.value = combined[key].metric.type === 'counter' ? sum : Math.round((sum / values.length) * 100) / 100;
+            }
+        }
+
+        merged.push({
+            key : 'cluster_workers',
+            value : Object.keys(workers).length,
+            label : 'Cluster Workers',
+            type : 'average',
+            widget : 'line'
+        });
+
+        if(!peek){
+            for(let id in workers){
+                workers[id].metrics = {};
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Label a metric as belonging to a single worker, used by the WORKER merge
+     * 
+     * For example, 'requests' from worker 2 becomes 'requests_worker_2'
+     * 
+     * @param object metric The metric
+     * @param number|string id The worker id
+     * 
+     * @return object
+     */
+    workerMetric(metric, id){
+        return Object.assign({}, metric, {
+            key : `${metric.key}_worker_${id}`,
+            label : this.labelSuffix(metric.label || metric.key, `(worker ${id})`)
+        });
+    }
+
+    /**
+     * Combine the primary's status with the health reported by workers, on the primary
+     * 
+     * The highest status code is used, and the time is averaged
+     * 
+     * @param object|bool observed The primary's own status, see httpStatus
+     * 
+     * @return object|bool The combined status, or the observed status if no worker has reported health
+     */
+    clusterHealth(observed){
+        if(!this._cluster || this._cluster.role !== TetheredUptime.CLUSTER_ROLES.PRIMARY){
+            return observed;
+        }
+
+        const health = Object.values(this.clusterWorkers()).map((state) => state.health).filter((state) => state instanceof Object);
+        if(observed){
+            health.push(observed);
+        }
+
+        if(!health.length){
+            return observed;
+        }
+
+        return {
+            code : health.reduce((code, state) => Math.max(code, parseInt(state.code) || 200), 0),
+            time : Math.round(health.reduce((total, state) => total + (parseFloat(state.time) || 0), 0) / health.length)
+        };
+    }
+
+    /**
+     * Run and track a job, such as a scheduled task
+     * 
+     * The job is timed, and a status is pushed with the real duration, using a 200 code on success or a 500 code on failure. If the job throws 
+     * (or rejects), an incident is also opened with the error stack trace, and the error is passed back to you
+     * 
+     * Supported options: 
+     * - monitorId : The monitor to report for, defaults to the configured monitor. Remembered for heartbeat calls with the same name
+     * - source    : The incident source, defaults to "NodeJS Job"
+     * - incident  : Whether to open an incident on failure, defaults to true
+     * 
+     * @param string name The job name
+     * @param function callable The job to run, which can return a Promise
+     * @param object options Optional tracking options
+     * 
+     * @return Promise Resolves or rejects with the result of the job
+     */
+    track(name, callable, options){
+        const job = this.job(name, options);
+        const started = Date.now();
+
+        this.trigger('job', { name : name });
+
+        return new Promise((resolve) => {
+            resolve(callable());
+        }).then((result) => {
+            const duration = Date.now() - started;
+
+            job.runs++;
+            job.lastRun = Date.now();
+            job.lastDuration = duration;
+
+            this.log(`Job '${name}' completed in ${duration}ms`, TetheredUptime.LOG_LEVELS.INFO, { event : 'job.complete' });
+            this.trigger('job.complete', { name : name, duration : duration });
+
+            this.pushStatus(200, duration, job.monitorId, { job : true }).then(() => {}).catch(() => {});
+            return result;
+        }).catch((error) => {
+            const duration = Date.now() - started;
+
+            job.runs++;
+            job.failures++;
+            job.lastRun = Date.now();
+            job.lastDuration = duration;
+            job.lastError = error;
+
+            this.log(`Job '${name}' failed after ${duration}ms`, TetheredUptime.LOG_LEVELS.ERROR, { event : 'job.failed' });
+            this.trigger('job.failed', { name : name, duration : duration, error : error });
+
+            this.pushStatus(500, duration, job.monitorId, { job : true }).then(() => {}).catch(() => {});
+
+            if(job.incident){
+                const description = error && error.stack ? error.stack : `${error}`;
+                this.pushIncident(`Job '${name}' failed`, description, job.source, 0, job.monitorId).then(() => {}).catch(() => {});
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * Send a heartbeat for a job which runs on its own timer
+     * 
+     * Pushes a 200 status for the job's monitor, so Tethered can alert you if the heartbeats stop arriving
+     * 
+     * @param string name The job name
+     * @param object options Optional options, see track method. If the job was tracked before, its monitor is reused
+     * 
+     * @return Promise
+     */
+    heartbeat(name, options){
+        const job = this.job(name, options);
+        job.lastRun = Date.now();
+
+        this.trigger('heartbeat', { name : name });
+        return this.pushStatus(200, 0, job.monitorId, { job : true });
+    }
+
+    /**
+     * Get or create the tracking state for a job
+     * 
+     * @param string name The job name
+     * @param object options Optional options, which update the stored job when passed
+     * 
+     * @return object
+     */
+    job(name, options){
+        if(typeof this.jobs[name] === 'undefined'){
+            this.jobs[name] = {
+                name : name,
+                monitorId : false,
+                source : "NodeJS Job",
+                incident : true,
+                runs : 0,
+                failures : 0,
+                lastRun : false,
+                lastDuration : false,
+                lastError : false
+            };
+        }
+
+        const job = this.jobs[name];
+        if(options instanceof Object){
+            for(let key of ['monitorId', 'source', 'incident']){
+                if(typeof options[key] !== 'undefined'){
+                    job[key] = options[key];
+                }
+            }
+        }
+
+        return job;
+    }
+
+    /**
+     * Run all configured probes, pushing each result as a status update
+     * 
+     * Probes without a monitorId report for the configured monitor, and probes defined on a named monitor report for that monitor
+     * 
+     * The promise resolves with the list of probe results, once every status push has settled. Each probe is reported on its own, so a probe 
+     * which can't run (like an invalid definition) has a result with ok set to false and the error, without affecting the others
+     * 
+     * @param array probes Optional probe definitions to run, defaults to every configured probe (see probeDefinitions)
+     * 
+     * @return Promise
+     */
+    runProbes(probes){
+        return new Promise((resolve, reject) => {
+            if(this.ready){
+                probes = probes instanceof Array ? probes : this.probeDefinitions();
+                
+                const runs = probes.map((definition) => {
+                    return this.probe(definition).then((result) => {
+                        return this.pushStatus(result.code, result.time, definition.monitorId).then(() => result).catch(() => result);
+                    });
+                });
+
+                Promise.allSettled(runs).then((settled) => {
+                    const results = settled.map((outcome, index) => {
+                        if(outcome.status === 'fulfilled'){
+                            return outcome.value;
                         }
-        
-                        /* Allow the list to mutated in full */
-                        list = this.applyModifiers('metrics.list', list);
-        
-                        if(list && list.length){
-                            const data = {
-                                apikey : this.configuration.apikey,
-                                site : this.configuration.monitorId,
-                                list : JSON.stringify(list)
-                            };
-        
-                            this.trigger('metrics');
-                            
-                            this.post('metrics/', data).then((response) => {
-                                this.log(`Metrics request completed (${response.status})`);
-                                this.trigger('metrics.complete', response);
 
-                                resolve(response);
-                            }).catch((error) => {
-                                this.log(`Metrics request failed:`);
-                                this.log(error);
+                        const definition = probes[index];
+                        this.log(`Probe could not run: ${outcome.reason && outcome.reason.message ? outcome.reason.message : outcome.reason}`, TetheredUptime.LOG_LEVELS.WARN, { event : 'probe.failed' });
+                        this.trigger('probe.failed', { definition : definition, error : outcome.reason });
+
+                        return {
+                            type : definition instanceof Object && definition.type ? definition.type : TetheredUptime.PROBE_TYPES.HTTP,
+                            code : 0,
+                            time : 0,
+                            ok : false,
+                            error : outcome.reason && outcome.reason.message ? outcome.reason.message : `${outcome.reason}`
+                        };
+                    });
+
+                    this.trigger('probes.complete', results);
+                    resolve(results);
+                });
+            } else {
+                reject(new TetheredValidationError("Instance not ready"));
+            }
+        });
+    }
+
+    /**
+     * Get every configured probe, including those defined on named monitors
+     * 
+     * Probes defined on a named monitor report for that monitor, unless they set their own monitorId
+     * 
+     * @return array
+     */
+    probeDefinitions(){
+        const probes = this.configuration.probes instanceof Array ? this.configuration.probes.slice() : [];
+
+        for(let name in this.configuration.monitors){
+            const monitor = this.configuration.monitors[name];
+            if(monitor.probes instanceof Array){
+                for(let probe of monitor.probes){
+                    probes.push(Object.assign({ monitorId : name }, probe));
+                }
+            }
+        }
+
+        return probes;
+    }
+
+    /**
+     * Run a single probe against a target, and measure the result
+     * 
+     * Supported definition options: 
+     * - type         : The probe type, see PROBE_TYPES static variable. Defaults to HTTP
+     * - url          : HTTP only, the URL to request
+     * - method       : HTTP only, the request method, defaults to GET
+     * - headers      : HTTP only, headers to send with the request
+     * - expectStatus : HTTP only, the status code (or array of codes) expected, defaults to any 2xx/3xx code
+     * - expectBody   : HTTP only, a string or RegExp the response body must match
+     * - host         : TCP, DNS and TLS, the hostname to check
+     * - port         : TCP and TLS, the port to connect to. TLS defaults to 443
+     * - rrtype       : DNS only, the record type to resolve, defaults to "A"
+     * - expectRecord : DNS only, a value which must be present in the resolved records
+     * - minDays      : TLS only, the minimum number of days the certificate must remain valid for, defaults to 14
+     * - timeout      : Seconds before the probe gives up, defaults to 10
+     * - monitorId    : The monitor to report for, defaults to the configured monitor
+     * 
+     * The promise resolves with an object containing the status code to report, the time taken in milliseconds, and whether the probe passed. 
+     * 
+     * Successful HTTP probes report the response code, while other types report 200. Failures report 503 on connection errors, 504 on timeouts, 
+     * 417 on unexpected responses, and 495 when a certificate is invalid or close to expiry. 
+     * 
+     * @param object definition The probe definition
+     * 
+     * @return Promise
+     */
+    probe(definition){
+        return new Promise((resolve, reject) => {
+            if(!(definition instanceof Object)){
+                reject(new TetheredValidationError("Invalid probe definition"));
+                return;
+            }
+
+            const type = definition.type || TetheredUptime.PROBE_TYPES.HTTP;
+            const timeout = (parseFloat(definition.timeout) || 10) * 1000;
+            const started = Date.now();
+
+            const complete = (code, ok, details) => {
+                const result = Object.assign({
+                    type : type,
+                    code : code,
+                    time : Date.now() - started,
+                    ok : ok
+                }, details || {});
+
+                this.log(`Probe completed (${result.code}, ${result.time}ms)`, TetheredUptime.LOG_LEVELS.DEBUG, { event : 'probe.complete' });
+                this.trigger('probe.complete', result);
+                resolve(result);
+            };
+
+            this.trigger('probe', definition);
+
+            switch(type){
+                case TetheredUptime.PROBE_TYPES.HTTP:
+                    this.probeHttp(definition, timeout, complete);
+                    break;
+                case TetheredUptime.PROBE_TYPES.TCP:
+                    this.probeTcp(definition, timeout, complete);
+                    break;
+                case TetheredUptime.PROBE_TYPES.DNS:
+                    this.probeDns(definition, timeout, complete);
+                    break;
+                case TetheredUptime.PROBE_TYPES.TLS:
+                    this.probeTls(definition, timeout, complete);
+                    break;
+                default:
+                    reject(new TetheredValidationError(`Unsupported probe type '${type}'`));
+            }
+        });
+    }
+
+    /**
+     * Run a HTTP(S) probe, checking the response status and optionally the body
+     * 
+     * @param object definition The probe definition
+     * @param number timeout Timeout in milliseconds
+     * @param function complete Callback which receives the code, pass state and any details
+     * 
+     * @return void
+     */
+    probeHttp(definition, timeout, complete){
+        if(!definition.url){
+            complete(503, false, { error : "Missing probe url" });
+            return;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let status = 0;
+        fetch(definition.url, {
+            method : definition.method || "GET",
+            headers : definition.headers || {},
+            signal : controller.signal
+        }).then((response) => {
+            status = response.status;
+            return typeof definition.expectBody !== 'undefined' ? response.text() : "";
+        }).then((body) => {
+            clearTimeout(timer);
+
+            const expected = typeof definition.expectStatus !== 'undefined' ? [].concat(definition.expectStatus).map((code) => parseInt(code)) : false;
+            if(expected ? !expected.includes(status) : status >= 400){
+                complete(status >= 400 ? status : 417, false, { error : `Unexpected status ${status}` });
+                return;
+            }
+
+            if(typeof definition.expectBody !== 'undefined'){
+                const matched = definition.expectBody instanceof RegExp ? definition.expectBody.test(body) : body.includes(`${definition.expectBody}`);
+                if(!matched){
+                    complete(417, false, { error : "Response body did not match" });
+                    return;
+                }
+            }
+
+            complete(status, true);
+        }).catch((error) => {
+            clearTimeout(timer);
+            complete(controller.signal.aborted ? 504 : 503, false, { error : error.message || `${error}` });
+        });
+    }
+
+    /**
+     * Run a TCP probe, checking that a connection can be opened
+     * 
+     * @param object definition The probe definition
+     * @param number timeout Timeout in milliseconds
+     * @param function complete Callback which receives the code, pass state and any details
+     * 
+     * @return void
+     */
+    probeTcp(definition, timeout, complete){
+        const socket = net.connect({ host : definition.host, port : parseInt(definition.port) });
+        socket.setTimeout(timeout);
+
+        socket.once('connect', () => {
+            socket.destroy();
+            complete(200, true);
+        });
+
+        socket.once('timeout', () => {
+            socket.destroy();
+            complete(504, false, { error : "Connection timed out" });
+        });
+
+        socket.once('error', (error) => {
+            socket.destroy();
+            complete(503, false, { error : error.message });
+        });
+    }
+
+    /**
+     * Run a DNS probe, checking that the host resolves, and optionally contains an expected record
+     * 
+     * @param object definition The probe definition
+     * @param number timeout Timeout in milliseconds
+     * @param function complete Callback which receives the code, pass state and any details
+     * 
+     * @return void
+     */
+    probeDns(definition, timeout, complete){
+        const resolver = new dns.promises.Resolver({ timeout : timeout, tries : 1 });
+        const rrtype = definition.rrtype || "A";
+
+        resolver.resolve(definition.host, rrtype).then((records) => {
+            const values = records.map((record) => record instanceof Object ? JSON.stringify(record) : `${record}`);
+            if(typeof definition.expectRecord !== 'undefined' && !values.some((value) => value.includes(`${definition.expectRecord}`))){
+                complete(417, false, { error : "Expected record not found", records : records });
+                return;
+            }
+
+            complete(200, true, { records : records });
+        }).catch((error) => {
+            complete(error.code === dns.TIMEOUT ? 504 : 503, false, { error : error.message });
+        });
+    }
+
+    /**
+     * Run a TLS probe, checking that the certificate is valid, and does not expire within the configured number of days
+     * 
+     * @param object definition The probe definition
+     * @param number timeout Timeout in milliseconds
+     * @param function complete Callback which receives the code, pass state and any details
+     * 
+     * @return void
+     */
+    probeTls(definition, timeout, complete){
+        const minDays = typeof definition.minDays !== 'undefined' ? parseFloat(definition.minDays) : 14;
+        const socket = tls.connect({
+            host : definition.host,
+            port : parseInt(definition.port) || 443,
+            servername : net.isIP(`${definition.host}`) ? undefined : definition.host
+        });
+        socket.setTimeout(timeout);
+
+        socket.once('secureConnect', () => {
+            const certificate = socket.getPeerCertificate();
+            socket.destroy();
+
+            if(!certificate || !certificate.valid_to){
+                complete(495, false, { error : "No certificate presented" });
+                return;
+            }
+
+            const expires = new Date(certificate.valid_to);
+            const daysRemaining = Math.floor((expires.getTime() - Date.now()) / 86400000);
+            if(daysRemaining < minDays){
+                complete(495, false, { error : `Certificate expires in ${daysRemaining} day(s)`, expires : expires, daysRemaining : daysRemaining });
+                return;
+            }
+
+            complete(200, true, { expires : expires, daysRemaining : daysRemaining });
+        });
+
+        socket.once('timeout', () => {
+            socket.destroy();
+            complete(504, false, { error : "Connection timed out" });
+        });
+
+        socket.once('error', (error) => {
+            socket.destroy();
+            complete(error.code && error.code.includes('CERT') ? 495 : 503, false, { error : error.message });
+        });
+    }
+
+    /**
+     * Scrape all configured Prometheus/OpenMetrics targets, and compile the selected series into the metrics list format used by the API
+     * 
+     * Targets are scraped in parallel. A target that fails is logged and skipped, so one unreachable exporter does not block the push
+     * 
+     * @param bool peek Calculate counter rates without storing the readings, so the next push still covers the full window
+     * 
+     * @return Promise Resolves with the compiled metrics list, never rejects
+     */
+    collectTargets(peek){
+        return new Promise((resolve, reject) => {
+            const targets = this.configuration.targets instanceof Array ? this.configuration.targets : [];
+            if(!targets.length){
+                resolve([]);
+                return;
+            }
+
+            Promise.all(targets.map((target) => {
+                return this.scrapeTarget(target, peek).catch((error) => {
+                    this.log(`Target scrape failed (${target.url})`, TetheredUptime.LOG_LEVELS.WARN, { error : error });
+
+                    this.trigger('target.failed', { target : target, error : error });
+                    return [];
+                });
+            })).then((lists) => {
+                resolve([].concat(...lists));
+            });
+        });
+    }
+
+    /**
+     * Scrape a single Prometheus/OpenMetrics target
+     * 
+     * Supported target options: 
+     * - url     : The URL to scrape, usually ending in /metrics
+     * - metrics : Metric names to include, as strings (supporting * wildcards) or RegExp. Defaults to all metrics
+     * - prefix  : Prefix added to each key, defaults to none
+     * - headers : Headers to send with the request, for example an authorization header
+     * - timeout : Seconds before the scrape gives up, defaults to 10
+     * 
+     * Each series keeps its labels as part of the key, for example 'redis_commands_total{cmd="get"}' becomes 'redis_commands_total_cmd_get'. 
+     * Gauges and untyped metrics are sent as they are. Counters (and histogram or summary counts, sums and buckets) are sent as a rate per second 
+     * since the previous sync, so a counter is first sent on the second sync
+     * 
+     * @param object target The target definition
+     * @param bool peek Calculate counter rates without storing the readings
+     * 
+     * @return Promise
+     */
+    scrapeTarget(target, peek){
+        return new Promise((resolve, reject) => {
+            if(!(target instanceof Object) || !target.url){
+                reject(new TetheredValidationError("Missing target url"));
+                return;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), (parseFloat(target.timeout) || 10) * 1000);
+
+            fetch(target.url, {
+                headers : Object.assign({ 'Accept' : 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1' }, target.headers || {}),
+                signal : controller.signal
+            }).then((response) => {
+                if(response.status >= 400){
+                    throw new TetheredError(`Target scrape failed (${response.status})`, { status : response.status, endpoint : target.url });
+                }
+                return response.text();
+            }).then((text) => {
+                clearTimeout(timer);
+
+                const now = Date.now();
+                const filters = typeof target.metrics !== 'undefined' ? [].concat(target.metrics) : [];
+                const list = [];
+
+                for(let series of this.parseExposition(text)){
+                    if(filters.length && !this.matchesFilter(series.name, filters)){
+                        continue;
+                    }
+
+                    const labels = Object.keys(series.labels).sort();
+                    const key = `${target.prefix || ''}${series.name}${labels.map((label) => `_${label}_${series.labels[label]}`).join('')}`
+                        .toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/_+$/g, '');
+                    const label = `${series.name}${labels.length ? `{${labels.map((label) => `${label}="${series.labels[label]}"`).join(', ')}}` : ''}`;
+
+                    if(!series.rate){
+                        list.push({
+                            key : key,
+                            value : series.value,
+                            label : label,
+                            type : 'average',
+                            widget : 'line'
+                        });
+                        continue;
+                    }
+
+                    /* Counters are converted to a rate, using the reading from the previous sync */
+                    const stateKey = `${target.url}|${key}`;
+                    const previous = this.targetState[stateKey];
+                    if(!peek){
+                        this.targetState[stateKey] = { value : series.value, time : now };
+                    }
+
+                    if(previous && now > previous.time){
+                        /* A lower value means the counter was reset, so everything since counts as new */
+                        const increase = series.value >= previous.value ? series.value - previous.value : series.value;
+                        list.push({
+                            key : key,
+                            value : parseFloat((increase / ((now - previous.time) / 1000)).toFixed(4)),
+                            label : `${label} (per second)`,
+                            type : 'average',
+                            widget : 'line'
+                        });
+                    }
+                }
+
+                this.trigger('target.scraped', { target : target, list : list });
+                resolve(list);
+            }).catch((error) => {
+                clearTimeout(timer);
+
+                if(!(error instanceof TetheredError)){
+                    if(controller.signal.aborted){
+                        error = new TetheredNetworkError("Target scrape timed out", { endpoint : target.url, cause : error });
+                        error.timeout = true;
+                        error.aborted = false;
+                    } else {
+                        error = new TetheredNetworkError(`Target scrape failed: ${error && error.message ? error.message : error}`, { endpoint : target.url, cause : error });
+                    }
+                }
+
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Parse the Prometheus text format (or OpenMetrics) into a list of series
+     * 
+     * Each series has the sample name, labels, value, and whether it should be sent as a rate, based on the TYPE of its metric family. 
+     * OpenMetrics '_created' series are skipped, along with any samples that are not finite numbers
+     * 
+     * @param string text The exposition text
+     * 
+     * @return array
+     */
+    parseExposition(text){
+        const types = {};
+        const series = [];
+
+        for(let line of `${text}`.split(/\r?\n/)){
+            line = line.trim();
+            if(!line.length){
+                continue;
+            }
+
+            if(line.startsWith('#')){
+                const type = line.match(/^#\s*TYPE\s+(\S+)\s+(\S+)/);
+                if(type){
+                    types[type[1]] = type[2].toLowerCase();
+                }
+                continue;
+            }
+
+            const sample = line.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(.*)\})?\s+(\S+)/);
+            if(!sample){
+                continue;
+            }
+
+            const name = sample[1];
+            const value = parseFloat(sample[4]);
+            if(!isFinite(value) || name.endsWith('_created')){
+                continue;
+            }
+
+            const labels = {};
+            const pattern = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+            let match;
+            while((match = pattern.exec(sample[3] || '')) !== null){
+                labels[match[1]] = match[2].replace(/\\n/g, '\n').replace(/\\(.)/g, '$1');
+            }
+
+            /* Find the family type, samples like '_total', '_count' and '_bucket' are named after their family */
+            const family = typeof types[name] !== 'undefined' ? name : name.replace(/_(total|count|sum|bucket)$/, '');
+            const type = types[family] || 'untyped';
+
+            let rate = false;
+            if(type === 'counter'){
+                rate = true;
+            } else if(type === 'histogram' || type === 'summary' || type === 'gaugehistogram'){
+                /* Quantiles are already a point in time value, the rest only ever increase */
+                rate = type !== 'gaugehistogram' && name !== family;
+            }
+
+            series.push({
+                name : name,
+                labels : labels,
+                value : value,
+                rate : rate
+            });
+        }
+
+        return series;
+    }
+
+    /**
+     * Check if a metric name matches any of the given filters
+     * 
+     * @param string name The metric name
+     * @param array filters Strings (supporting * wildcards) or RegExp
+     * 
+     * @return bool
+     */
+    matchesFilter(name, filters){
+        for(let filter of filters){
+            if(filter instanceof RegExp){
+                if(filter.test(name)){
+                    return true;
+                }
+            } else {
+                const pattern = new RegExp(`^${`${filter}`.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+                if(pattern.test(name)){
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Send a push payload to the API, spooling it to the offline queue if the request fails
+     *
+     * Used by the push methods, so that status, metric and incident payloads are not lost during network issues or API outages
+     *
+     * The promise still rejects on failure, the payload is simply retained for replay when the queue is enabled
+     *
+     * While older payloads are waiting in the queue, new payloads are added behind them and the queue is replayed straight away, so the API 
+     * receives them in the order they were made. The promise then settles with the outcome of that replay, and the request options are not used
+     *
+     * @param string endpoint Target endpoint
+     * @param object data Data to send to the endpoint, must include any needed auth details
+     * @param object options Optional request options, see request method
+     *
+     * @return Promise
+     */
+    dispatch(endpoint, data, options){
+        return new Promise((resolve, reject) => {
+            if(this.ready && this.configuration.queue.enabled && this.queue && this.queue.length){
+                this.enqueue(endpoint, data, undefined, { resolve : resolve, reject : reject });
+                this.flushQueue();
+                return;
+            }
+
+            this.post(endpoint, data, options).then((response) => {
+                if(this.queue && this.queue.length){
+                    /* The API is reachable again, replay anything we are holding */
+                    this.flushQueue();
+                }
 
-                                reject(error);
-                            });
-                        } else {
-                            reject("No metric data to send");
-                        }
-                    } else {
-                        reject("Configuration invalid, metric flags not defined correctly");
-                    }
-                }).catch((error) => {
-                    this.log("System snapshot failed!");
-                    this.reject(error);
-                });
-            } else {
-                reject("Instance not ready");
-            }
+                resolve(response);
+            }).catch((error) => {
+                if(this.isRetryableError(error)){
+                    this.enqueue(endpoint, data, error.retryAfter);
+                }
+                reject(error);
+            });
         });
     }
 
     /**
-     * Get list of monitors linked to your account
-     * 
-     * This will include some surface level data, which might be helpful for determining your own internal actions
-     * 
-     * This does not return the data, but instead dispatches the data via an event 
-     * 
+     * Add a failed payload to the offline queue
+     *
+     * Does nothing unless the queue is enabled in the configuration. The API key is stripped before the payload is stored, and is added back when replayed
+     *
+     * Oldest entries are dropped once the queue reaches the configured maximum size
+     *
+     * Payloads added behind a backlog, rather than after failing, pass a waiter. It is settled by the next replay attempt which reaches the 
+     * entry, or fails before it, see dispatch
+     *
+     * @param string endpoint The endpoint the payload was sent to
+     * @param object data The payload which failed to send
+     * @param number retryAfter Optional delay, in seconds, requested by the API
+     * @param object waiter Optional resolve and reject callbacks, for payloads which have not been sent yet
+     *
+     * @return void
+     */
+    enqueue(endpoint, data, retryAfter, waiter){
+        if(!this.configuration.queue || !this.configuration.queue.enabled){
+            return;
+        }
+
+        const payload = Object.assign({}, data);
+        delete payload.apikey;
+
+        const entry = {
+            endpoint : endpoint,
+            data : payload,
+            queued : Date.now(),
+            attempts : 0
+        };
+
+        this.queue.push(entry);
+        this.trigger('queue.enqueued', entry);
+
+        if(waiter){
+            this._queueWaiters.set(entry, waiter);
+            this.log(`Queued request to ${endpoint} behind ${this.queue.length - 1} pending`, TetheredUptime.LOG_LEVELS.DEBUG);
+        } else {
+            this.log(`Queued failed request to ${endpoint} (${this.queue.length} pending)`, TetheredUptime.LOG_LEVELS.WARN);
+        }
+
+        this.pruneQueue();
+        this.persistQueue();
+
+        if(!this._queueFlushing && !waiter){
+            this.retryQueue(retryAfter);
+        }
+    }
+
+    /**
+     * Settle the waiter of a queued entry, if it has one, see enqueue
+     *
+     * @param object entry The queue entry
+     * @param Error error The error to reject with, or false to resolve
+     * @param any response The response to resolve with
+     *
+     * @return void
+     */
+    settleQueued(entry, error, response){
+        const waiter = this._queueWaiters.get(entry);
+        if(!waiter){
+            return;
+        }
+
+        this._queueWaiters.delete(entry);
+        if(error){
+            waiter.reject(error);
+        } else {
+            waiter.resolve(response);
+        }
+    }
+
+    /**
+     * Replay queued payloads in the order they were added
+     *
+     * Stops on the first failure and schedules another attempt using exponential backoff with jitter, or the API's Retry-After value if one was sent
+     *
+     * The promise resolves with the number of entries still pending, it does not reject
+     *
      * @return Promise
      */
-    getMonitors(){
-        return new Promise((resolve, reject) => {
-            if(this.ready){
-                const data = {
-                    apikey : this.configuration.apikey,
+    flushQueue(){
+        return new Promise((resolve) => {
+            clearTimeout(this._queueTimer);
+            this._queueTimer = false;
+
+            this.pruneQueue();
+
+            if(!this.ready || this._queueFlushing || !this.queue.length){
+                resolve(this.queue.length);
+                return;
+            }
+
+            this._queueFlushing = true;
+
+            const next = () => {
+                if(!this.queue.length){
+                    this._queueFlushing = false;
+                    this._queueAttempts = 0;
+                    this.persistQueue();
+
+                    this.log(`Queue flushed`, TetheredUptime.LOG_LEVELS.INFO, { event : 'queue.flushed' });
+                    this.trigger('queue.flushed');
+
+                    resolve(0);
+                    return;
+                }
+
+                const entry = this.queue[0];
+                const data = Object.assign({}, entry.data, { apikey : this.configuration.apikey });
+
+                const failed = (error) => {
+                    entry.attempts++;
+                    this._queueFlushing = false;
+                    this.persistQueue();
+                    this.retryQueue(error.retryAfter);
+
+                    /* Payloads waiting behind this one stay queued, but their callers learn the API is still unavailable */
+                    for(let waiting of this.queue){
+                        this.settleQueued(waiting, error);
+                    }
+
+                    resolve(this.queue.length);
                 };
-        
-                this.trigger('monitors');
-        
-                this.get('sites/', data).then((response) => {
-                    this.log(`Monitors request completed (${response.status})`);
-                    this.trigger('monitors.complete', response);
 
-                    resolve(response);
+                this.post(entry.endpoint, data).then((response) => {
+                    this.queue.shift();
+                    this.trigger('queue.replayed', { entry : entry, response : response });
+                    this.settleQueued(entry, false, response);
+                    next();
                 }).catch((error) => {
-                    this.log(`Monitors request failed:`);
-                    this.log(error);
+                    if(this.isRetryableError(error)){
+                        failed(error);
+                        return;
+                    }
 
-                    reject(error);
+                    /* The API rejected the payload itself, so replaying it again would never succeed */
+                    this.queue.shift();
+                    this.log(`Dropped queued request to ${entry.endpoint}, rejected by the API`, TetheredUptime.LOG_LEVELS.WARN, { error : error });
+                    this.trigger('queue.dropped', { entry : entry, reason : 'rejected', error : error });
+                    this.settleQueued(entry, error);
+                    next();
                 });
-            } else {
-                reject("Instance not ready");
-            }
+            };
+
+            next();
         });
     }
 
     /**
-     * Get list of incidents linked to your account
+     * Schedule the next queue flush attempt
+     *
+     * Delay doubles with each consecutive failure, from retryDelay up to maxRetryDelay, with jitter applied so that many instances do not retry together
+     *
+     * @param number retryAfter Optional delay, in seconds, which overrides the backoff calculation
+     *
+     * @return void
+     */
+    retryQueue(retryAfter){
+        if(this._queueTimer || !this.queue.length){
+            return;
+        }
+
+        const options = this.configuration.queue;
+        let delay = parseFloat(retryAfter);
+        if(isNaN(delay) || delay < 0){
+            this._queueAttempts = (this._queueAttempts || 0) + 1;
+
+            const backoff = Math.min(options.maxRetryDelay, options.retryDelay * Math.pow(2, this._queueAttempts - 1));
+            delay = (backoff / 2) + (Math.random() * backoff / 2);
+        }
+
+        this._queueTimer = setTimeout(() => {
+            this._queueTimer = false;
+            this.flushQueue();
+        }, delay * 1000);
+
+        if(this._queueTimer.unref){
+            this._queueTimer.unref();
+        }
+
+        this.trigger('queue.retry', { delay : delay, pending : this.queue.length });
+        this.log(`Queue replay scheduled in ${delay.toFixed(2)}s`, TetheredUptime.LOG_LEVELS.DEBUG);
+    }
+
+    /**
+     * Drop queued entries which exceed the configured age or size limits
+     *
+     * Each dropped entry is dispatched via the 'queue.dropped' event
+     *
+     * @return void
+     */
+    pruneQueue(){
+        const options = this.configuration.queue;
+        const dropped = [];
+
+        if(options.maxAge){
+            const cutoff = Date.now() - (options.maxAge * 1000);
+            while(this.queue.length && this.queue[0].queued < cutoff){
+                dropped.push({ entry : this.queue.shift(), reason : 'age' });
+            }
+        }
+
+        if(options.maxSize){
+            while(this.queue.length > options.maxSize){
+                dropped.push({ entry : this.queue.shift(), reason : 'size' });
+            }
+        }
+
+        for(let drop of dropped){
+            this.trigger('queue.dropped', drop);
+            this.settleQueued(drop.entry, new TetheredError(`Queued request to ${drop.entry.endpoint} was dropped (${drop.reason})`, { endpoint : drop.entry.endpoint }));
+        }
+
+        if(dropped.length){
+            this.log(`Dropped ${dropped.length} queued request(s)`, TetheredUptime.LOG_LEVELS.WARN);
+        }
+    }
+
+    /**
+     * Write the queue to disk, as JSONL, when using disk storage
+     *
+     * @return void
+     */
+    persistQueue(){
+        const options = this.configuration.queue;
+        if(!options.enabled || options.storage !== TetheredUptime.QUEUE_STORAGE.DISK){
+            return;
+        }
+
+        try {
+            const lines = this.queue.map((entry) => JSON.stringify(entry));
+            fs.writeFileSync(options.path, lines.length ? `${lines.join("\n")}\n` : "");
+        } catch (ex) {
+            this.log(`Queue could not be written to ${options.path}`, TetheredUptime.LOG_LEVELS.ERROR, { error : ex });
+        }
+    }
+
+    /**
+     * Load a previously persisted queue from disk, when using disk storage
+     *
+     * Called on initialization, and by configure when the queue options change. Restored entries are merged with any already held, 
+     * in the order they were queued, skipping entries which are already held. Lines which cannot be parsed are skipped. Replay begins 
+     * once the instance is ready
+     *
+     * @return number The number of entries restored
+     */
+    restoreQueue(){
+        const options = this.configuration.queue;
+        if(!options.enabled || options.storage !== TetheredUptime.QUEUE_STORAGE.DISK || !fs.existsSync(options.path)){
+            return 0;
+        }
+
+        const held = new Set(this.queue.map((entry) => JSON.stringify(entry)));
+        const restored = [];
+        try {
+            const lines = fs.readFileSync(options.path, 'utf8').split("\n");
+            for(let line of lines){
+                if(line.trim().length){
+                    try {
+                        const entry = JSON.parse(line);
+                        if(!held.has(JSON.stringify(entry))){
+                            restored.push(entry);
+                        }
+                    } catch (ex) {
+                        /* Skip partial writes */
+                    }
+                }
+            }
+        } catch (ex) {
+            this.log(`Queue could not be read from ${options.path}`, TetheredUptime.LOG_LEVELS.ERROR, { error : ex });
+        }
+
+        if(!restored.length){
+            return 0;
+        }
+
+        /* Sorting is stable, so entries queued in the same millisecond keep their order */
+        this.queue = this.queue.concat(restored).sort((a, b) => a.queued - b.queued);
+
+        this.pruneQueue();
+        this.persistQueue();
+        this.log(`Restored ${restored.length} queued request(s)`);
+
+        return restored.length;
+    }
+
+    /**
+     * Check if a response status should be retried later
+     *
+     * Rate limits and server side errors are considered temporary
+     *
+     * @param number status The HTTP status of the response
+     *
+     * @return bool
+     */
+    isRetryable(status){
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Check if a failed request should be retried later
      * 
-     * This will return paginated results, meaning you can pass a page paramater
+     * Network errors, timeouts and rate limits are retried, along with retryable statuses. Requests aborted by the caller are not
      * 
-     * @param number page The page to be loaded, if left empty, will default to 1
+     * @param any error The error the request rejected with
+     * 
+     * @return bool
+     */
+    isRetryableError(error){
+        if(error instanceof TetheredNetworkError){
+            return !error.aborted;
+        } else if(error instanceof TetheredRateLimitError){
+            return true;
+        }
+        return !!error && this.isRetryable(error.status);
+    }
+
+    /**
+     * Snapshot system resources, to be sent via the API 
+     * 
+     * The promise will resolve with the current metric data, which is then filtered down by your preferred resource flags
+     * 
+     * Event loop, GC and container counters cover the period since the last snapshot. Peeking reads them without starting a new period, 
+     * which is how the Prometheus exporter avoids affecting the next push
+     * 
+     * @param bool peek Read the current figures without resetting them
      * 
      * @return Promise
      */
-    getIncidents(page){
+    snapshot(peek){
         return new Promise((resolve, reject) => {
-            if(this.ready){
-                page = typeof page === 'undefined' ? 1 : parseInt(page);
+            let snapshot = {
+                memory : parseInt(os.totalmem()) - parseInt(os.freemem()),
+                load : parseFloat((os.loadavg(1) * 100).toFixed(2)),
+            }
 
-                const data = {
-                    apikey : this.configuration.apikey,
-                    page : page
-                };
-        
-                this.trigger('incidents');
-        
-                this.get('incidents/', data).then((response) => {
-                    this.log(`Incidents request completed (${response.status})`);
-                    this.trigger('incidents.complete', response);
+            Object.assign(snapshot, this.runtimeSnapshot(peek));
 
-                    resolve(response);
+            const cgroup = this.readCgroup();
+            const started = Date.now();
+            
+            os.cpuUsage((cpuPercentage) => {
+                snapshot.cpu = parseFloat((cpuPercentage * 100).toFixed(2));
+                snapshot.container = this.containerSnapshot(cgroup, Date.now() - started, snapshot, peek);
+
+                nodeDiskInfo.getDiskInfo().then((disks) => {
+                    if(disks && disks.length){
+                        snapshot.disks = [];
+                        for(let disk of disks){
+                            snapshot.disks.push({
+                                name : disk.mounted.replace(":", ""),
+                                capacity : parseInt(disk.capacity.replace("%", ""))
+                            });
+                        }
+                    }
+                    
+                    this.applyModifiersAsync('snapshot', snapshot).then(resolve);
                 }).catch((error) => {
-                    this.log(`Incidents request failed:`);
-                    this.log(error);
+                    this.applyModifiersAsync('snapshot', snapshot).then(resolve);
+                })
+            });
+        });
+    }
 
-                    reject(error);
-                });
-            } else {
-                reject("Instance not ready");
+    /**
+     * Start the NodeJS runtime observers needed by the enabled metric flags
+     * 
+     * Event loop delay and garbage collection are measured continuously between snapshots, so these must be running ahead of time
+     * 
+     * Safe to call more than once, observers are only created once
+     * 
+     * @return void
+     */
+    observeRuntime(){
+        let flags = this.configuration.metricFlags instanceof Array ? this.configuration.metricFlags : [];
+        for(let name in this.configuration.monitors){
+            if(this.configuration.monitors[name].metricFlags instanceof Array){
+                flags = flags.concat(this.configuration.monitors[name].metricFlags);
             }
-        });
+        }
+
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.EVENT_LOOP) && !this._eventLoop){
+            this._eventLoop = monitorEventLoopDelay({ resolution : 20 });
+            this._eventLoop.enable();
+        }
+
+        if(flags.includes(TetheredUptime.METRIC_FLAGS.GC) && !this._gcObserver){
+            this._gc = { count : 0, pause : 0 };
+            this._gcObserver = new PerformanceObserver((entries) => {
+                for(let entry of entries.getEntries()){
+                    this._gc.count++;
+                    this._gc.pause += entry.duration;
+                }
+            });
+            this._gcObserver.observe({ entryTypes : ['gc'] });
+        }
     }
 
     /**
-     * Create an incident
+     * Get the NodeJS runtime figures for this process 
      * 
-     * You can also update an incident, but for this, you should use the 'post' method and package the request yourself instead of using this helper
+     * Memory values are in MB, and times in milliseconds. Event loop and GC figures cover the period since the last snapshot, and are reset after being read, 
+     * unless peeking
      * 
-     * @param string title The title of the incident
-     * @param string description The description of the incident
-     * @param string source The source of the incident, for example "NodeJS Server". Will default to "api" if not set
-     * @param number status The status to set this to, defaults to 0 (ongoing)
+     * @param bool peek Read the current figures without resetting them
+     * 
+     * @return object
      */
-    pushIncident(title, description, source, status){
-        return new Promise((resolve, reject) => {
-            if(this.ready){
-                title = typeof title !== "undefined" ? title : false;
-                description = typeof description !== "undefined" ? description : false;
-                source = typeof source !== "undefined" ? source : false;
-                status = typeof status !== "undefined" ? status : 0;
-                
-                if(title && description){
-                    const data = {
-                        apikey : this.configuration.apikey,
-                        siteid : this.configuration.monitorId,
-                        incident_title : title,
-                        data_description : description
-                    };
+    runtimeSnapshot(peek){
+        const toMB = (bytes) => parseFloat((bytes / 1048576).toFixed(2));
+        const toMS = (nanoseconds) => parseFloat((nanoseconds / 1e6).toFixed(2));
 
-                    if(source){
-                        data.incident_source = source;
-                    }
+        /* Resource types ending in 'Req' (like FSReqCallback), and socket writes and shutdowns, are requests, the rest are handles */
+        const resources = typeof process.getActiveResourcesInfo === 'function' ? process.getActiveResourcesInfo() : [];
+        const requests = resources.filter((type) => /Req|^(Write|Shutdown)Wrap$/.test(type)).length;
 
-                    if(status){
-                        data.status = status;
-                    }
+        const memory = process.memoryUsage();
+        const runtime = {
+            heap : {
+                used : toMB(memory.heapUsed),
+                total : toMB(memory.heapTotal)
+            },
+            rss : toMB(memory.rss),
+            external : toMB(memory.external),
+            handles : {
+                handles : resources.length - requests,
+                requests : requests
+            }
+        };
 
-                    this.trigger('incident');
+        this.observeRuntime();
 
-                    this.post('incident/', data).then((response) => {
-                        this.log(`Incident creation request completed (${response.status})`);
-                        this.trigger('incident.complete', response);
-    
-                        resolve(response);
-                    }).catch((error) => {
-                        this.log(`Incident creation request failed:`);
-                        this.log(error);
+        if(this._eventLoop){
+            /* The histogram includes the sampling resolution itself, which is removed so an idle loop reads close to 0 */
+            const histogram = this._eventLoop;
+            const delay = (nanoseconds) => histogram.count ? toMS(Math.max(0, nanoseconds - 20e6)) : 0;
+            runtime.eventLoop = {
+                min : delay(histogram.min),
+                max : delay(histogram.max),
+                mean : delay(histogram.mean),
+                p50 : delay(histogram.percentile(50)),
+                p90 : delay(histogram.percentile(90)),
+                p99 : delay(histogram.percentile(99))
+            };
+            if(!peek){
+                histogram.reset();
+            }
+        }
+
+        if(this._gcObserver){
+            runtime.gc = {
+                count : this._gc.count,
+                pause : parseFloat(this._gc.pause.toFixed(2))
+            };
+            if(!peek){
+                this._gc = { count : 0, pause : 0 };
+            }
+        }
+
+        return runtime;
+    }
+
+    /**
+     * Build the container resource figures from two cgroup readings
+     * 
+     * CPU usage is measured across the same window as the host CPU reading, and is relative to the CPU quota. Throttled periods and OOM kills 
+     * are counted since the previous snapshot
+     * 
+     * Outside of a container (or on platforms without cgroups), this falls back to the host figures already in the snapshot
+     * 
+     * @param object|bool start The cgroup reading taken at the start of the snapshot, see readCgroup
+     * @param number elapsed Milliseconds between the start reading and now
+     * @param object snapshot The snapshot being built, used for the host fallback
+     * @param bool peek Count throttled periods and OOM kills without moving the previous reading forward
+     * 
+     * @return object
+     */
+    containerSnapshot(start, elapsed, snapshot, peek){
+        const end = this.readCgroup();
+        const hostCores = nodeOs.cpus().length || 1;
+        const hostMemory = parseInt(os.totalmem());
+
+        if(!start || !end){
+            return {
+                cgroup : false,
+                memory : {
+                    usage : snapshot.memory,
+                    limit : hostMemory,
+                    percent : parseFloat(((snapshot.memory / hostMemory) * 100).toFixed(2))
+                },
+                cpu : {
+                    usage : snapshot.cpu,
+                    cores : hostCores
+                },
+                throttled : 0,
+                oomKills : 0
+            };
+        }
 
-                        reject(error);
-                    });
-                } else {
-                    reject("Missing required fields 'title', 'descripotion'");
-                }
-            } else {
-                reject("Instance not ready");
-            }
-        });
+        /* Unlimited cgroups fall back to the host resources */
+        const limit = end.memoryLimit && end.memoryLimit < hostMemory ? end.memoryLimit : hostMemory;
+        const cores = end.cpuQuota ? end.cpuQuota : hostCores;
+        const cpuUsed = elapsed > 0 ? ((end.cpuUsage - start.cpuUsage) / 1e6) / (elapsed * cores) : 0;
+
+        const previous = this._cgroup || { throttled : 0, oomKills : 0 };
+        if(!peek){
+            this._cgroup = { throttled : end.throttled, oomKills : end.oomKills };
+        }
+
+        return {
+            cgroup : end.version,
+            memory : {
+                usage : end.memoryUsage,
+                limit : limit,
+                percent : parseFloat(((end.memoryUsage / limit) * 100).toFixed(2))
+            },
+            cpu : {
+                usage : parseFloat(Math.min(100, Math.max(0, cpuUsed * 100)).toFixed(2)),
+                cores : parseFloat(cores.toFixed(2))
+            },
+            throttled : Math.max(0, end.throttled - previous.throttled),
+            oomKills : Math.max(0, end.oomKills - previous.oomKills)
+        };
     }
 
     /**
-     * Snapshot system resources, to be sent via the API 
+     * Read the raw resource counters for the cgroup this process belongs to
      * 
-     * The promise will resolve with the current metric data, which is then filtered down by your preferred resource flags
+     * Supports both cgroup v1 and v2. Memory values are in MB, CPU usage in nanoseconds, and the CPU quota in cores (0 when unlimited)
      * 
-     * @return Promise
+     * Returns false if cgroups are not available
+     * 
+     * @return object|bool
      */
-    snapshot(){
-        return new Promise((resolve, reject) => {
-            let snapshot = {
-                memory : parseInt(os.totalmem()) - parseInt(os.freemem()),
-                load : parseFloat((os.loadavg(1) * 100).toFixed(2)),
+    readCgroup(){
+        const read = (file) => {
+            try {
+                return fs.readFileSync(file, 'utf8').trim();
+            } catch (ex) {
+                return false;
             }
-            
-            os.cpuUsage((cpuPercentage) => {
-                snapshot.cpu = parseFloat((cpuPercentage * 100).toFixed(2));
+        };
 
-                nodeDiskInfo.getDiskInfo().then((disks) => {
-                    if(disks && disks.length){
-                        snapshot.disks = [];
-                        for(let disk of disks){
-                            snapshot.disks.push({
-                                name : disk.mounted.replace(":", ""),
-                                capacity : parseInt(disk.capacity.replace("%", ""))
-                            });
-                        }
-                    }
-                    
-                    snapshot = this.applyModifiers('snapshot', snapshot);
-                    resolve(snapshot);
-                }).catch((error) => {
-                    snapshot = this.applyModifiers('snapshot', snapshot);
-                    resolve(snapshot);
-                })
-            });
-        });
+        const stat = (contents) => {
+            const values = {};
+            for(let line of `${contents || ""}`.split("\n")){
+                const parts = line.trim().split(/\s+/);
+                if(parts.length === 2){
+                    values[parts[0]] = parseInt(parts[1]);
+                }
+            }
+            return values;
+        };
+
+        const membership = read('/proc/self/cgroup');
+        if(!membership){
+            return false;
+        }
+
+        /* Resolve the directory for a controller, containers usually see their own cgroup as the root */
+        const root = '/sys/fs/cgroup';
+        const locate = (controller, cgroupPath) => {
+            const nested = path.join(root, controller, cgroupPath);
+            return fs.existsSync(nested) ? nested : path.join(root, controller);
+        };
+
+        const controllers = {};
+        for(let line of membership.split("\n")){
+            const parts = line.split(":");
+            if(parts.length >= 3){
+                for(let controller of parts[1].split(",")){
+                    controllers[controller] = parts.slice(2).join(":");
+                }
+            }
+        }
+
+        const toMB = (bytes) => parseFloat((bytes / 1048576).toFixed(2));
+
+        if(typeof controllers[''] !== 'undefined' && fs.existsSync(path.join(root, 'cgroup.controllers'))){
+            /* cgroup v2, a single unified hierarchy */
+            const directory = locate('', controllers['']);
+            const current = read(path.join(directory, 'memory.current'));
+            if(current === false){
+                return false;
+            }
+
+            const max = read(path.join(directory, 'memory.max'));
+            const cpuMax = `${read(path.join(directory, 'cpu.max')) || 'max'}`.split(" ");
+            const cpuStat = stat(read(path.join(directory, 'cpu.stat')));
+            const events = stat(read(path.join(directory, 'memory.events')));
+
+            return {
+                version : 2,
+                memoryUsage : toMB(parseInt(current)),
+                memoryLimit : max && max !== 'max' ? toMB(parseInt(max)) : 0,
+                cpuUsage : (cpuStat.usage_usec || 0) * 1000,
+                cpuQuota : cpuMax[0] !== 'max' ? parseInt(cpuMax[0]) / parseInt(cpuMax[1] || 100000) : 0,
+                throttled : cpuStat.nr_throttled || 0,
+                oomKills : events.oom_kill || 0
+            };
+        }
+
+        if(typeof controllers.memory !== 'undefined'){
+            /* cgroup v1, one hierarchy per controller */
+            const memory = locate('memory', controllers.memory);
+            const cpu = locate('cpu', controllers.cpu || '/');
+            const cpuacct = locate('cpuacct', controllers.cpuacct || '/');
+
+            const usage = read(path.join(memory, 'memory.usage_in_bytes'));
+            if(usage === false){
+                return false;
+            }
+
+            const limit = parseInt(read(path.join(memory, 'memory.limit_in_bytes')));
+            const quota = parseInt(read(path.join(cpu, 'cpu.cfs_quota_us')));
+            const period = parseInt(read(path.join(cpu, 'cpu.cfs_period_us'))) || 100000;
+            const cpuStat = stat(read(path.join(cpu, 'cpu.stat')));
+            const oomControl = stat(read(path.join(memory, 'memory.oom_control')));
+
+            return {
+                version : 1,
+                memoryUsage : toMB(parseInt(usage)),
+                memoryLimit : limit > 0 ? toMB(limit) : 0,
+                cpuUsage : parseInt(read(path.join(cpuacct, 'cpuacct.usage'))) || 0,
+                cpuQuota : quota > 0 ? quota / period : 0,
+                throttled : cpuStat.nr_throttled || 0,
+                oomKills : oomControl.oom_kill || 0
+            };
+        }
+
+        return false;
     }
 
     /**
@@ -639,23 +5602,31 @@ class TetheredUptime {
      * 
      * This allows additional extension or mutation of data before it is used by the instance 
      * 
-     * Each instance is queued to the tag, meaning they can be stacked/chained together
+     * Each instance is queued to the tag, meaning they can be stacked/chained together. Modifiers run in priority order, lowest first, and 
+     * in the order they were added when the priority is the same
+     * 
+     * Tags can include a '*' wildcard, for example 'status.*'. Modifiers also receive the tag being processed as a second argument
      * 
      * @param string tag The event tag you want to hook into and modify packet data for
      * @param function callable The function/callable to send the data to, remember this callable must return the data back when called on
+     * @param number priority Optional priority, defaults to 10
      * 
-     * @return void
+     * @return function Call to remove the modifier again
      */
-    addModifier(tag, callable){
-        if(this.hooks && this.hooks.modifiers){
-            if(typeof this.hooks.modifiers[tag] === 'undefined' || !(this.hooks.modifiers[tag] instanceof Array)){
-                this.hooks.modifiers[tag] = [];
-            }
+    addModifier(tag, callable, priority){
+        return this.addHook('modifiers', tag, callable, priority, false);
+    }
 
-            if(typeof callable === 'function'){
-                this.hooks.modifiers[tag].push(callable);
-            }
-        }
+    /**
+     * Remove a modifier from the instance
+     * 
+     * @param string tag The tag the modifier was added with
+     * @param function callable The modifier to remove
+     * 
+     * @return bool Whether the modifier was found
+     */
+    removeModifier(tag, callable){
+        return this.removeHook('modifiers', tag, callable);
     }
 
     /**
@@ -665,20 +5636,71 @@ class TetheredUptime {
      * 
      * Those callables MUST return the data as it will eventually end up back in the instance
      * 
+     * Modifiers are isolated, if one throws (or returns a Promise, which can't be waited for here), it is skipped, the data is left as it was, 
+     * and the problem is reported with the 'error' event. Use applyModifiersAsync for async modifiers
+     * 
      * @param string tag The event tag being processed
      * @param any data The data being processed, which can be altered by the callbacks in the queue
      * 
      * @return any
      */
     applyModifiers(tag, data){
-        if(this.hooks && this.hooks.modifiers && this.hooks.modifiers[tag] && this.hooks.modifiers[tag] instanceof Array){
-            for(let callable of this.hooks.modifiers[tag]){
-                data = callable(data);
+        for(let hook of this.hookEntries('modifiers', tag)){
+            try {
+                const result = hook.callable(data, tag);
+                if(result instanceof Promise){
+                    result.catch(() => {});
+                    throw new Error(`Modifier for '${tag}' returned a Promise, use applyModifiersAsync`);
+                }
+                data = result;
+            } catch (ex) {
+                this.hookFailed('modifier', tag, ex);
             }
         }
         return data;
     }
 
+    /**
+     * Apply modifiers based on an event tag, waiting for any that return a Promise
+     * 
+     * Used by the push paths, so modifiers can look up data before it is sent. Modifiers are isolated in the same way as applyModifiers, 
+     * if one throws or rejects, the data is left as it was
+     * 
+     * @param string tag The event tag being processed
+     * @param any data The data being processed, which can be altered by the callbacks in the queue
+     * 
+     * @return Promise Resolves with the modified data, never rejects
+     */
+    applyModifiersAsync(tag, data){
+        return new Promise((resolve, reject) => {
+            const hooks = this.hookEntries('modifiers', tag);
+            const next = (index, value) => {
+                if(index >= hooks.length){
+                    resolve(value);
+                    return;
+                }
+
+                let result;
+                try {
+                    result = hooks[index].callable(value, tag);
+                } catch (ex) {
+                    this.hookFailed('modifier', tag, ex);
+                    next(index + 1, value);
+                    return;
+                }
+
+                Promise.resolve(result).then((modified) => {
+                    next(index + 1, modified);
+                }).catch((error) => {
+                    this.hookFailed('modifier', tag, error);
+                    next(index + 1, value);
+                });
+            };
+
+            next(0, data);
+        });
+    }
+
     /**
      * Register an event listener, which this instance will call 
      * 
@@ -688,21 +5710,39 @@ class TetheredUptime {
      * 
      * If you need that, look at modifiers
      * 
+     * Tags can include a '*' wildcard, for example '*.complete' or '*' for every event. Listeners also receive the triggered tag as a second argument
+     * 
      * @param string tag The event tag to listen for
      * @param function callable The callable to be run when the event is fired
      * 
-     * @return void
+     * @return function Call to remove the listener again
      */
     listen(tag, callable){
-        if(this.hooks && this.hooks.events){
-            if(typeof this.hooks.events[tag] === 'undefined' || !(this.hooks.events[tag] instanceof Array)){
-                this.hooks.events[tag] = [];
-            }
+        return this.addHook('events', tag, callable, 10, false);
+    }
 
-            if(typeof callable === 'function'){
-                this.hooks.events[tag].push(callable);
-            }
-        }
+    /**
+     * Register an event listener, which is removed after it is called once
+     * 
+     * @param string tag The event tag to listen for
+     * @param function callable The callable to be run when the event is fired
+     * 
+     * @return function Call to remove the listener before it runs
+     */
+    once(tag, callable){
+        return this.addHook('events', tag, callable, 10, true);
+    }
+
+    /**
+     * Remove an event listener from the instance
+     * 
+     * @param string tag The tag the listener was added with
+     * @param function callable The listener to remove
+     * 
+     * @return bool Whether the listener was found
+     */
+    off(tag, callable){
+        return this.removeHook('events', tag, callable);
     }
 
     /**
@@ -710,68 +5750,253 @@ class TetheredUptime {
      * 
      * This will fire off all of the registered event listeners, allowing implementations to take additional actions based on the instance events 
      * 
+     * Listeners are isolated, if one throws (or rejects), the remaining listeners still run and the problem is reported with the 'error' event
+     * 
      * @param string tag The event tag to trigger
      * @param any data Any data to be sent to listeners 
      * 
      * @return void
      */
     trigger(tag, data){
-        if(this.hooks && this.hooks.events && this.hooks.events[tag] && this.hooks.events[tag] instanceof Array){
-            for(let callable of this.hooks.events[tag]){
-                callable(data);
+        for(let hook of this.hookEntries('events', tag)){
+            if(hook.once){
+                this.removeHook('events', hook.tag, hook.callable);
+            }
+
+            try {
+                const result = hook.callable(data, tag);
+                if(result instanceof Promise){
+                    result.catch((error) => {
+                        this.hookFailed('listener', tag, error);
+                    });
+                }
+            } catch (ex) {
+                this.hookFailed('listener', tag, ex);
+            }
+        }
+    }
+
+    /**
+     * Add a modifier or listener entry to the hooks
+     * 
+     * @param string type The hook type, modifiers or events
+     * @param string tag The tag to hook into, which can include a '*' wildcard
+     * @param function callable The callable to add
+     * @param number priority The priority, lowest runs first
+     * @param bool once Remove the entry after it is first called
+     * 
+     * @return function Call to remove the entry again
+     */
+    addHook(type, tag, callable, priority, once){
+        if(this.hooks && this.hooks[type] && typeof callable === 'function'){
+            if(typeof this.hooks[type][tag] === 'undefined' || !(this.hooks[type][tag] instanceof Array)){
+                this.hooks[type][tag] = [];
+            }
+
+            this._hookOrder = (this._hookOrder || 0) + 1;
+            this.hooks[type][tag].push({
+                tag : tag,
+                callable : callable,
+                priority : typeof priority === 'number' && !isNaN(priority) ? priority : 10,
+                once : !!once,
+                order : this._hookOrder
+            });
+        }
+
+        return () => this.removeHook(type, tag, callable);
+    }
+
+    /**
+     * Remove a modifier or listener entry from the hooks
+     * 
+     * If the callable was added more than once, only the first entry is removed
+     * 
+     * @param string type The hook type, modifiers or events
+     * @param string tag The tag the entry was added with
+     * @param function callable The callable to remove
+     * 
+     * @return bool Whether the entry was found
+     */
+    removeHook(type, tag, callable){
+        if(this.hooks && this.hooks[type] && this.hooks[type][tag] instanceof Array){
+            const index = this.hooks[type][tag].findIndex((hook) => hook.callable === callable);
+            if(index !== -1){
+                this.hooks[type][tag].splice(index, 1);
+                if(!this.hooks[type][tag].length){
+                    delete this.hooks[type][tag];
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the modifier or listener entries which apply to a tag, including wildcard tags, in the order they should run
+     * 
+     * @param string type The hook type, modifiers or events
+     * @param string tag The tag being processed
+     * 
+     * @return array
+     */
+    hookEntries(type, tag){
+        let entries = [];
+        if(this.hooks && this.hooks[type]){
+            for(let pattern in this.hooks[type]){
+                const matched = pattern === tag || (pattern.includes('*') && new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(tag));
+                if(matched && this.hooks[type][pattern] instanceof Array){
+                    entries = entries.concat(this.hooks[type][pattern]);
+                }
             }
         }
+        return entries.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    }
+
+    /**
+     * Report a modifier or listener which threw or rejected
+     * 
+     * Triggers the 'error' event, unless the failure came from an 'error' listener, which is only logged to avoid a loop
+     * 
+     * @param string type The hook type, modifier or listener
+     * @param string tag The tag being processed
+     * @param any error The error thrown
+     * 
+     * @return void
+     */
+    hookFailed(type, tag, error){
+        this.log(`A ${type} for '${tag}' failed`, TetheredUptime.LOG_LEVELS.ERROR, { error : error });
+
+        if(tag !== 'error'){
+            this.trigger('error', { type : type, tag : tag, error : error });
+        }
     }
 
     /**
      * Internal log method 
      * 
-     * This is controlled by the logging mode of the instance, as mapped below: 
+     * Each call builds a structured record, with the time, level name, event, message and context. Records below the configured log level are skipped, 
+     * and the rest are handled by the logging mode of the instance, as mapped below: 
      * - Disabled : Nothing is logged, the method returns early
-     * - Internal : Logs to a log variable in instance, which can be read at any time 
-     * - Output : Uses the default console log method 
-     * - Custom : If you have a logger callable passed, and it is callable, we'll send the data to that method instead
+     * - Internal : Records are kept in a log variable in instance, which can be read at any time. Only the latest records are kept, see logBuffer
+     * - Output : Uses the console, with warnings and errors sent to stderr
+     * - Custom : If you have a logger callable passed, we'll send the message and record to that method instead. Logger objects (pino, winston 
+     *            or console) are called with the method matching the level
+     * - JSON : Writes each record to stdout as a single line of JSON, for log collectors
      * 
-     * @param any data The data being logged, all types allowed
+     * @param any data The data being logged, all types allowed. Errors are added to the context
+     * @param int level The log level, see LOG_LEVELS. Defaults to info
+     * @param object context Optional context for the record. An 'event' key is moved to the record itself
      * 
      * @return void
      */
-    log(data){
+    log(data, level, context){
         if(this.configuration && this.configuration.logMode){
             if(this.configuration.logMode === TetheredUptime.LOG_MODES.DISABLED){
                 return;
             }
 
-            if(typeof data === 'string'){
-                data = `Tethered: ${data}`;
+            level = Object.values(TetheredUptime.LOG_LEVELS).includes(level) ? level : TetheredUptime.LOG_LEVELS.INFO;
+            if(level < this.configuration.logLevel){
+                return;
             }
 
+            const record = this.logRecord(data, level, context);
+
             switch(this.configuration.logMode){
                 case TetheredUptime.LOG_MODES.INTERNAL:
-                    this.logs.push(data);
+                    this.logs.push(record);
+                    if(this.logs.length > this.configuration.logBuffer){
+                        /* Drop the oldest records, so long running processes don't grow forever */
+                        this.logs.splice(0, this.logs.length - this.configuration.logBuffer);
+                    }
                     break;
-                case TetheredUptime.LOG_MODES.OUTPUT:
-                    console.log(data);
+                case TetheredUptime.LOG_MODES.OUTPUT: {
+                    const methods = { debug : 'debug', info : 'log', warn : 'warn', error : 'error' };
+                    const line = `Tethered: ${record.level === 'info' ? '' : `[${record.level}] `}${record.message}`;
+                    if(Object.keys(record.context).length){
+                        console[methods[record.level]](line, record.context);
+                    } else {
+                        console[methods[record.level]](line);
+                    }
                     break;
-                case TetheredUptime.LOG_MODES.CUSTOM:
-                    if(this.configuration.logger && typeof this.configuration.logger === 'function'){
-                        this.configuration.logger(data);
+                }
+                case TetheredUptime.LOG_MODES.CUSTOM: {
+                    const logger = this.configuration.logger;
+                    if(typeof logger === 'function'){
+                        logger(`Tethered: ${record.message}`, record);
+                    } else if(logger instanceof Object){
+                        const method = typeof logger[record.level] === 'function' ? record.level : 'info';
+                        const fields = Object.assign(record.event ? { event : record.event } : {}, record.context);
+                        if(typeof logger.bindings === 'function'){
+                            /* Pino expects the fields first, and the message second */
+                            logger[method](fields, record.message);
+                        } else if(Object.keys(fields).length){
+                            logger[method](record.message, fields);
+                        } else {
+                            logger[method](record.message);
+                        }
                     }
                     break;
+                }
+                case TetheredUptime.LOG_MODES.JSON:
+                    process.stdout.write(`${JSON.stringify(record)}\n`);
+                    break;
             }
         }
     }
+
+    /**
+     * Build a structured log record
+     * 
+     * Errors (in the data or context) are converted to plain objects with the name, message and stack, so they can be serialized
+     * 
+     * @param any data The data being logged
+     * @param int level The log level, see LOG_LEVELS
+     * @param object context Optional context for the record
+     * 
+     * @return object
+     */
+    logRecord(data, level, context){
+        const serialize = (value) => value instanceof Error ? { name : value.name, message : value.message, stack : value.stack } : value;
+
+        context = Object.assign({}, context instanceof Object ? context : {});
+        const event = context.event || null;
+        delete context.event;
+
+        let message = '';
+        if(typeof data === 'string'){
+            message = data;
+        } else if(data instanceof Error){
+            message = data.message;
+            context.error = data;
+        } else if(typeof data !== 'undefined'){
+            context.data = data;
+        }
+
+        for(let key in context){
+            context[key] = serialize(context[key]);
+        }
+
+        return {
+            time : new Date().toISOString(),
+            level : Object.keys(TetheredUptime.LOG_LEVELS).find((name) => TetheredUptime.LOG_LEVELS[name] === level).toLowerCase(),
+            event : event,
+            message : message,
+            context : context
+        };
+    }
     
     /**
      * Make a GET request to the API 
      * 
      * @param string endpoint Target endpoint
      * @param object data Data to send to the endpoint, must include any needed auth details 
+     * @param object options Optional request options, see request method
      * 
      * @return Promise
      */
-    get(endpoint, data){
-        return this.request(endpoint, data, "GET");
+    get(endpoint, data, options){
+        return this.request(endpoint, data, "GET", options);
     }
 
     /**
@@ -779,11 +6004,12 @@ class TetheredUptime {
      * 
      * @param string endpoint Target endpoint
      * @param object data Data to send to the endpoint, must include any needed auth details 
+     * @param object options Optional request options, see request method
      * 
      * @return Promise
      */
-    post(endpoint, data){
-        return this.request(endpoint, data, "POST");
+    post(endpoint, data, options){
+        return this.request(endpoint, data, "POST", options);
     }
 
     /**
@@ -791,24 +6017,33 @@ class TetheredUptime {
      * 
      * @param string endpoint Target endpoint
      * @param object data Data to send to the endpoint, must include any needed auth details 
+     * @param object options Optional request options, see request method
      * 
      * @return Promise
      */
-    delete(endpoint, data){
-        return this.request(endpoint, data, "DELETE");
+    delete(endpoint, data, options){
+        return this.request(endpoint, data, "DELETE", options);
     }
 
     /**
      * Make a request request to the API 
      * 
+     * Resolves with the status and parsed data for 2xx responses. Anything else rejects with a typed error, carrying the status, endpoint and 
+     * parsed body, see requestError. Requests that take longer than the configured timeout are aborted, and reject with a TetheredNetworkError
+     * 
+     * Supported options: 
+     * - signal  : An AbortSignal, which cancels the request when aborted
+     * - timeout : Seconds before the request is aborted, overrides the configured timeout
+     * 
      * @param string endpoint Target endpoint
      * @param object data Data to send to the endpoint, must include any needed auth details
      * @param string method The method to use for this request 
+     * @param object settings Optional request options
      * 
      * @return Promise
      */
-    request(endpoint, data, method){
-        return new Promise((resolve, reject) => {
+    request(endpoint, data, method, settings){
+        const pending = new Promise((resolve, reject) => {
             const parts = [TetheredUptime.API_URL, `v${TetheredUptime.API_VERSION}`, endpoint];
             let url = parts.join('/');
 
@@ -841,22 +6076,222 @@ class TetheredUptime {
                 }
             }
 
-            options = this.applyModifiers('request.options', options);
-            this.trigger('request', { url : url, options : options, endpoint : endpoint });
+            settings = settings instanceof Object ? settings : {};
+            const timeout = parseFloat(typeof settings.timeout !== 'undefined' ? settings.timeout : this.configuration.timeout) || 0;
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+
+            let timer = false;
+            let timedOut = false;
+            const cleanup = () => {
+                clearTimeout(timer);
+                if(settings.signal){
+                    settings.signal.removeEventListener('abort', abort);
+                }
+            };
+
+            if(settings.signal){
+                if(settings.signal.aborted){
+                    controller.abort();
+                } else {
+                    settings.signal.addEventListener('abort', abort, { once : true });
+                }
+            }
+
             let status = 0;
-            fetch(url, options).then((response) => {
+            let retryAfter;
+            this.throttle().then(() => {
+                return this.applyModifiersAsync('request.options', options);
+            }).then((modified) => {
+                options = modified;
+                this.trigger('request', { url : url, options : options, endpoint : endpoint });
+
+                if(timeout > 0){
+                    /* The timer starts once the request is sent, so time spent waiting on the rate limiter is not counted */
+                    timer = setTimeout(() => {
+                        timedOut = true;
+                        controller.abort();
+                    }, timeout * 1000);
+                }
+
+                return fetch(url, Object.assign({}, options, { signal : controller.signal }));
+            }).then((response) => {
                 status = response.status || 0;
-                return response.json();
-            }).then((json) => {
-                this.trigger('request.complete', {status : status, data : json});
-                resolve({status : status, data : json});
+                if(response.headers && response.headers.get('retry-after')){
+                    retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+                }
+                return response.text();
+            }).then((text) => {
+                cleanup();
+
+                /* Error pages are not always JSON, so the raw text is kept when it can't be parsed */
+                let body = null;
+                if(text && text.length){
+                    try {
+                        body = JSON.parse(text);
+                    } catch (ex) {
+                        body = text;
+                    }
+                }
+
+                if(status < 200 || status >= 300){
+                    throw this.requestError(status, endpoint, body, retryAfter);
+                }
+
+                const result = {status : status, data : body};
+                if(typeof retryAfter !== 'undefined'){
+                    result.retryAfter = retryAfter;
+                }
+
+                this.trigger('request.complete', result);
+                resolve(result);
             }).catch((error) => {
+                cleanup();
+
+                if(!(error instanceof TetheredError)){
+                    if(controller.signal.aborted){
+                        error = new TetheredNetworkError(timedOut ? `Request to ${endpoint} timed out after ${timeout}s` : `Request to ${endpoint} was aborted`, { endpoint : endpoint, cause : error });
+                        error.timeout = timedOut;
+                        error.aborted = !timedOut;
+                    } else {
+                        error = new TetheredNetworkError(`Request to ${endpoint} failed: ${error && error.message ? error.message : error}`, { endpoint : endpoint, cause : error });
+                    }
+                }
+
+                this.trigger('request.failed', error);
                 reject(error);
             });
         });
+
+        /* Tracked until settled, so shutdown can wait for requests in flight */
+        this._inflight.push(pending);
+        const settled = () => {
+            this._inflight = this._inflight.filter((request) => request !== pending);
+        };
+        pending.then(settled, settled);
+
+        return pending;
+    }
+
+    /**
+     * Build the typed error for a response with a non 2xx status
+     * 
+     * - 401, 403 : TetheredAuthError
+     * - 429      : TetheredRateLimitError
+     * - Any other 4xx : TetheredValidationError
+     * - Anything else : TetheredError
+     * 
+     * @param number status The response status
+     * @param string endpoint The endpoint requested
+     * @param any body The parsed response body
+     * @param number retryAfter The Retry-After header, in seconds, if one was sent
+     * 
+     * @return TetheredError
+     */
+    requestError(status, endpoint, body, retryAfter){
+        const details = { status : status, endpoint : endpoint, body : body, retryAfter : retryAfter };
+
+        let message = `Request to ${endpoint} failed (${status})`;
+        if(body instanceof Object && (typeof body.message === 'string' || typeof body.error === 'string')){
+            message = `${message}: ${body.message || body.error}`;
+        }
+
+        if(status === 401 || status === 403){
+            return new TetheredAuthError(message, details);
+        } else if(status === 429){
+            return new TetheredRateLimitError(message, details);
+        } else if(status >= 400 && status < 500){
+            return new TetheredValidationError(message, details);
+        }
+        return new TetheredError(message, details);
+    }
+
+    /**
+     * Wait for the client-side rate limiter, if enabled in the configuration
+     * 
+     * Uses a token bucket, which allows bursts of up to the configured number of requests, and then spaces requests out evenly. Requests 
+     * over the limit are delayed in the order they were made. Once maxQueue requests are waiting, further requests are rejected with a 
+     * TetheredRateLimitError instead, which push methods hand to the offline queue when it is enabled
+     * 
+     * Supported options (rateLimit): 
+     * - enabled  : Limit requests to the API, defaults to false
+     * - requests : The number of requests allowed per interval, defaults to 60
+     * - interval : The interval in seconds, defaults to 60
+     * - maxQueue : The number of requests allowed to wait for the limiter, defaults to 100
+     * 
+     * @return Promise Resolves once the request can be made, rejects if too many requests are already waiting
+     */
+    throttle(){
+        return new Promise((resolve, reject) => {
+            const options = this.configuration.rateLimit;
+            if(!options.enabled){
+                resolve();
+                return;
+            }
+
+            const capacity = Math.max(1, parseInt(options.requests) || 1);
+            const rate = capacity / ((parseFloat(options.interval) || 1) * 1000);
+            const now = Date.now();
+
+            const bucket = this._rateLimit || { tokens : capacity, updated : now, waiting : 0 };
+            bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) * rate));
+            bucket.updated = now;
+            this._rateLimit = bucket;
+
+            if(bucket.tokens < 1 && bucket.waiting >= (parseInt(options.maxQueue) || 1)){
+                const retryAfter = Math.ceil((1 - bucket.tokens) / rate / 1000);
+                this.log(`Request rejected by the rate limiter, ${bucket.waiting} requests are already waiting`, TetheredUptime.LOG_LEVELS.WARN, { event : 'request.limited' });
+                reject(new TetheredRateLimitError(`Request rejected by the rate limiter, ${bucket.waiting} requests are already waiting`, { retryAfter : retryAfter }));
+                return;
+            }
+
+            /* Take a token, going negative reserves a place in line for later requests */
+            bucket.tokens -= 1;
+
+            if(bucket.tokens >= 0){
+                resolve();
+                return;
+            }
+
+            const delay = Math.ceil(-bucket.tokens / rate);
+            this.log(`Request delayed by the rate limiter for ${delay}ms`, TetheredUptime.LOG_LEVELS.DEBUG, { event : 'request.limited' });
+            this.trigger('request.limited', { delay : delay });
+
+            bucket.waiting++;
+            setTimeout(() => {
+                bucket.waiting--;
+                resolve();
+            }, delay);
+        });
+    }
+
+    /**
+     * Parse a Retry-After header value into seconds
+     * 
+     * The header can either be a number of seconds, or a HTTP date
+     * 
+     * @param string value The header value
+     * 
+     * @return number|undefined
+     */
+    parseRetryAfter(value){
+        let seconds = parseFloat(value);
+        if(isNaN(seconds)){
+            const date = Date.parse(value);
+            if(isNaN(date)){
+                return undefined;
+            }
+            seconds = (date - Date.now()) / 1000;
+        }
+        return Math.max(0, seconds);
     }
 }
 
 module.exports = {
-    Tethered : TetheredUptime
-};
\ No newline at end of file
+    Tethered : TetheredUptime,
+    TetheredError : TetheredError,
+    TetheredAuthError : TetheredAuthError,
+    TetheredRateLimitError : TetheredRateLimitError,
+    TetheredNetworkError : TetheredNetworkError,
+    TetheredValidationError : TetheredValidationError
+};
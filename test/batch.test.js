@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TetheredValidationError } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('metrics pushed within the window are coalesced into one request', async (t) => {
+    const calls = mockFetch();
+    const uptime = create({ batch : { enabled : true, window : 0.02 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await Promise.all([
+        uptime.pushMetric('signups', 1, 'Signups', 'counter'),
+        uptime.pushMetric('signups', 2, 'Signups', 'counter'),
+        uptime.pushMetric('queue', 10, 'Queue', 'average'),
+        uptime.pushMetric('queue', 4, 'Queue', 'average'),
+        uptime.pushMetric('queue', 7, 'Queue', 'average', undefined, 2)
+    ]);
+
+    assert.strictEqual(calls.length, 2);
+
+    const sent = calls.find((call) => call.body.site === 1);
+    assert.deepStrictEqual(JSON.parse(sent.body.list).map((metric) => [metric.key, metric.value]), [['signups', 3], ['queue', 4]]);
+
+    const other = calls.find((call) => call.body.site === 2);
+    assert.deepStrictEqual(JSON.parse(other.body.list).map((metric) => [metric.key, metric.value]), [['queue', 7]]);
+});
+
+test('a full batch is sent straight away', async (t) => {
+    const calls = mockFetch();
+    const uptime = create({ batch : { enabled : true, window : 60, size : 2 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const batches = [];
+    uptime.listen('metrics.batch', (data) => batches.push(data.calls));
+
+    await Promise.all([uptime.pushMetric('a', 1), uptime.pushMetric('b', 2)]);
+    assert.deepStrictEqual(batches, [2]);
+    assert.strictEqual(calls.length, 1);
+});
+
+test('request options are rejected while batching', async (t) => {
+    const calls = mockFetch();
+    const uptime = create({ batch : { enabled : true, window : 60 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushMetric('a', 1, undefined, undefined, undefined, undefined, { signal : new AbortController().signal }), TetheredValidationError);
+    await assert.rejects(uptime.pushMetric('a', 1, undefined, undefined, undefined, undefined, { timeout : 5 }), TetheredValidationError);
+
+    /* Nothing was added to the batch */
+    uptime.flushBatch();
+    assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const bin = path.join(__dirname, '..', 'bin', 'tethered-uptime.js');
+
+/* Runs the CLI with fetch answered locally, see fixtures/fetch.js */
+const run = (...args) => {
+    const env = Object.assign({}, process.env, { TETHERED_APIKEY : 'test-key', TETHERED_MONITOR_ID : '1' });
+    delete env.TETHERED_CONFIG;
+
+    const result = spawnSync(process.execPath, ['--require', path.join(__dirname, 'fixtures', 'fetch.js'), bin].concat(args), { env : env, encoding : 'utf8', timeout : 30000 });
+    return { code : result.status, stdout : result.stdout, stderr : result.stderr };
+};
+
+test('--json does not take the next argument as its value', () => {
+    const result = run('push-metric', '--json', 'cpu', '5');
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const response = JSON.parse(result.stdout);
+    assert.strictEqual(response.data.body.key, 'cpu');
+    assert.strictEqual(response.data.body.value, 5);
+
+    const leading = run('--json', 'monitors');
+    assert.strictEqual(leading.code, 0, leading.stderr);
+    assert.match(JSON.parse(leading.stdout).data.url, /\/sites\//);
+});
+
+test('options with values are passed through', () => {
+    const result = run('incidents', '--page', '3', '--json');
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(JSON.parse(result.stdout).data.url, /page=3/);
+
+    const created = run('incident', 'create', '--title=Outage', '--description', 'Database down', '--status', '1', '--json');
+    assert.strictEqual(created.code, 0, created.stderr);
+    assert.strictEqual(JSON.parse(created.stdout).data.body.incident_title, 'Outage');
+    assert.strictEqual(JSON.parse(created.stdout).data.body.status, 1);
+});
+
+test('invalid numeric options are usage errors', () => {
+    for(let args of [['incidents', '--page'], ['incidents', '--page', 'two'], ['incidents', '--page', '0'], ['incident', 'create', '--title', 'A', '--description', 'B', '--status', '7']]){
+        const result = run(...args);
+        assert.strictEqual(result.code, 2, args.join(' '));
+        assert.match(result.stderr, /must be/);
+    }
+});
+
+test('usage errors exit with 2', () => {
+    assert.strictEqual(run().code, 2);
+    assert.strictEqual(run('--help').code, 0);
+    assert.strictEqual(run('unknown').code, 2);
+    assert.strictEqual(run('push-metric', 'cpu').code, 2);
+});
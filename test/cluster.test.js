@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MessageChannel } = require('node:worker_threads');
+const { Tethered } = require('../index.js');
+const { create } = require('./helpers.js');
+
+const report = (worker, metrics, health) => ({ type : 'tethered.report', worker : worker, pid : 100 + worker, health : health, metrics : metrics });
+const find = (list, key) => list.find((metric) => metric.key === key);
+
+test('worker metrics are summed into the primary list', (t) => {
+    const uptime = create({ cluster : { enabled : true } });
+    t.after(() => uptime.destroy());
+
+    assert.ok(!uptime.isClusterWorker());
+
+    uptime.receiveReport(report(1, [{ key : 'requests', value : 3, type : 'counter' }, { key : 'latency', value : 10, type : 'average' }]));
+    uptime.receiveReport(report(1, [{ key : 'requests', value : 1, type : 'counter' }]));
+    uptime.receiveReport(report(2, [{ key : 'requests', value : 5, type : 'counter' }, { key : 'latency', value : 20, type : 'average' }]));
+    assert.strictEqual(uptime.receiveReport({ type : 'other' }), false);
+
+    const merged = uptime.clusterMetrics([{ key : 'requests', value : 2, type : 'counter' }]);
+    assert.strictEqual(find(merged, 'requests').value, 11);
+    assert.strictEqual(find(merged, 'latency').value, 15);
+    assert.strictEqual(find(merged, 'cluster_workers').value, 2);
+
+    /* Reported values are cleared once merged */
+    assert.strictEqual(find(uptime.clusterMetrics([]), 'requests'), undefined);
+});
+
+test('worker metrics can be kept separate', (t) => {
+    const uptime = create({ cluster : { enabled : true, merge : Tethered.CLUSTER_MERGE.WORKER } });
+    t.after(() => uptime.destroy());
+
+    uptime.receiveReport(report(1, [{ key : 'requests', value : 3, label : 'Requests', type : 'counter' }]));
+    uptime.receiveReport(report(2, [{ key : 'requests', value : 5, label : 'Requests', type : 'counter' }]));
+
+    const merged = uptime.clusterMetrics([{ key : 'requests', value : 2, type : 'counter' }]);
+    assert.strictEqual(find(merged, 'requests').value, 2);
+    assert.strictEqual(find(merged, 'requests_worker_1').value, 3);
+    assert.strictEqual(find(merged, 'requests_worker_2').label, 'Requests (worker 2)');
+});
+
+test('the worst worker health is used for the status', (t) => {
+    const uptime = create({ cluster : { enabled : true } });
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.clusterHealth(false), false);
+
+    uptime.receiveReport(report(1, [], { code : 200, time : 10 }));
+    uptime.receiveReport(report(2, [], { code : 503, time : 30 }));
+    assert.deepStrictEqual(uptime.clusterHealth({ code : 200, time : 20 }), { code : 503, time : 20 });
+});
+
+test('workers report over a port to the primary', async (t) => {
+    const channel = new MessageChannel();
+    const primary = create({ cluster : { enabled : true } });
+    const worker = create({ cluster : { enabled : true, port : channel.port1 } });
+    const detach = primary.attachWorker(channel.port2);
+    t.after(() => {
+        detach();
+        worker.destroy();
+        primary.destroy();
+        channel.port1.close();
+    });
+
+    assert.ok(worker.isClusterWorker());
+    worker.counter('jobs').inc(4);
+
+    const received = new Promise((resolve) => primary.listen('cluster.received', resolve));
+    await worker.report();
+    await received;
+
+    assert.strictEqual(find(worker.registryMetrics(), 'jobs').value, 0);
+    assert.strictEqual(find(primary.clusterMetrics([]), 'jobs').value, 4);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Tethered, TetheredValidationError } = require('../index.js');
+const { create } = require('./helpers.js');
+
+/* Set environment variables for one test, and put the previous values back afterwards */
+function environment(t, variables){
+    const previous = {};
+    for(let name in variables){
+        previous[name] = process.env[name];
+        process.env[name] = variables[name];
+    }
+    t.after(() => {
+        for(let name in previous){
+            if(typeof previous[name] === 'undefined'){
+                delete process.env[name];
+            } else {
+                process.env[name] = previous[name];
+            }
+        }
+    });
+}
+
+test('options are read from a config file, then the environment, then the constructor', (t) => {
+    const file = path.join(os.tmpdir(), `tethered-config-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ apikey : "file-key", monitorId : 3, timeout : 5, intervalTime : 60 }));
+    environment(t, { TETHERED_CONFIG : file, TETHERED_MONITOR_ID : '4', TETHERED_TIMEOUT : '8' });
+
+    const uptime = new Tethered({ mode : Tethered.MODE_TYPES.MANUAL, timeout : 12 });
+    t.after(() => {
+        uptime.destroy();
+        fs.rmSync(file, { force : true });
+    });
+
+    assert.strictEqual(uptime.configuration.apikey, "file-key");
+    assert.strictEqual(uptime.configuration.intervalTime, 60);
+    assert.strictEqual(uptime.configuration.monitorId, 4);
+    assert.strictEqual(uptime.configuration.timeout, 12);
+    assert.strictEqual(uptime.ready, true);
+});
+
+test('invalid options are skipped and reported', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    const reported = [];
+    uptime.listen('configuration.invalid', (errors) => reported.push(errors));
+
+    uptime.configure({ timeout : 5, mode : 'sometimes', bogus : 1 });
+
+    assert.strictEqual(uptime.configuration.timeout, 5);
+    assert.strictEqual(uptime.configuration.mode, Tethered.MODE_TYPES.MANUAL);
+    assert.strictEqual(reported.length, 1);
+    assert.strictEqual(reported[0].length, 2);
+});
+
+test('strict validation applies nothing when any option is invalid', (t) => {
+    const uptime = create({ strictConfig : true, mode : Tethered.MODE_TYPES.INTERVAL, intervalTime : 3600 });
+    t.after(() => uptime.destroy());
+
+    const configured = [];
+    uptime.listen('configured', () => configured.push(true));
+
+    assert.throws(() => uptime.configure({ intervalTime : 10, sampling : { interval : 2 }, bogus : 1 }), (error) => {
+        return error instanceof TetheredValidationError && error.errors.length === 1 && /bogus/.test(error.errors[0]);
+    });
+
+    assert.strictEqual(uptime.configuration.intervalTime, 3600);
+    assert.notStrictEqual(uptime.configuration.sampling.interval, 2);
+    assert.strictEqual(configured.length, 0);
+
+    /* Turning strict validation on in the same call applies it to that call */
+    const relaxed = create();
+    t.after(() => relaxed.destroy());
+    assert.throws(() => relaxed.configure({ strictConfig : true, timeout : 5, bogus : 1 }), TetheredValidationError);
+    assert.strictEqual(relaxed.configuration.timeout, 30);
+    assert.strictEqual(relaxed.configuration.strictConfig, false);
+});
+
+test('numeric strings are accepted for the monitor ID', (t) => {
+    const uptime = new Tethered({ apikey : "test-key", monitorId : '12', mode : Tethered.MODE_TYPES.MANUAL, strictConfig : true });
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.configuration.monitorId, 12);
+    assert.strictEqual(uptime.ready, true);
+
+    assert.throws(() => uptime.configure({ monitorId : 'twelve' }), TetheredValidationError);
+    assert.strictEqual(uptime.configuration.monitorId, 12);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const osUtils = require('os-utils');
+const { Tethered } = require('../index.js');
+const { create } = require('./helpers.js');
+
+/* A cgroup reading, as returned by readCgroup */
+const reading = (values) => Object.assign({ version : 2, memoryUsage : 256, memoryLimit : 512, cpuUsage : 0, cpuQuota : 2, throttled : 0, oomKills : 0 }, values);
+
+test('container figures are measured against the cgroup limits', (t) => {
+    const uptime = create({ metricFlags : [Tethered.METRIC_FLAGS.CONTAINER] });
+    t.after(() => uptime.destroy());
+
+    /* Half a second of CPU time over one second, with a quota of two cores */
+    uptime.readCgroup = () => reading({ cpuUsage : 0.5e9, throttled : 3, oomKills : 1 });
+    const container = uptime.containerSnapshot(reading(), 1000, {});
+
+    assert.deepStrictEqual(container, {
+        cgroup : 2,
+        memory : { usage : 256, limit : 512, percent : 50 },
+        cpu : { usage : 25, cores : 2 },
+        throttled : 3,
+        oomKills : 1
+    });
+
+    const list = uptime.compileMetrics({ container : container });
+    assert.deepStrictEqual(list.map((metric) => [metric.key, metric.value]), [
+        ['container_memory', 256],
+        ['container_memory_limit', 50],
+        ['container_cpu', 25],
+        ['container_throttled', 3],
+        ['container_oom_kills', 1]
+    ]);
+});
+
+test('throttled periods and OOM kills are counted since the previous snapshot', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    uptime.readCgroup = () => reading({ throttled : 3, oomKills : 1 });
+    assert.strictEqual(uptime.containerSnapshot(reading(), 1000, {}).throttled, 3);
+
+    uptime.readCgroup = () => reading({ throttled : 5, oomKills : 1 });
+    assert.strictEqual(uptime.containerSnapshot(reading(), 1000, {}, true).throttled, 2);
+
+    /* Peeking did not start a new period */
+    const next = uptime.containerSnapshot(reading(), 1000, {});
+    assert.strictEqual(next.throttled, 2);
+    assert.strictEqual(next.oomKills, 0);
+});
+
+test('host figures are used outside a container, or without limits', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    /* Snapshots read memory in MB, through os-utils */
+    const hostMemory = parseInt(osUtils.totalmem());
+
+    uptime.readCgroup = () => false;
+    const host = uptime.containerSnapshot(false, 1000, { memory : hostMemory / 2, cpu : 40 });
+    assert.strictEqual(host.cgroup, false);
+    assert.strictEqual(host.memory.limit, hostMemory);
+    assert.ok(Math.abs(host.memory.percent - 50) < 0.1);
+    assert.strictEqual(host.cpu.usage, 40);
+
+    uptime.readCgroup = () => reading({ memoryLimit : 0, cpuQuota : 0 });
+    const unlimited = uptime.containerSnapshot(reading(), 1000, {});
+    assert.strictEqual(unlimited.memory.limit, hostMemory);
+    assert.strictEqual(unlimited.cpu.cores, os.cpus().length);
+});
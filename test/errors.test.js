@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TetheredError, TetheredAuthError, TetheredRateLimitError, TetheredNetworkError, TetheredValidationError } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+/* Never answers, and rejects once the request is aborted */
+const hang = (url, options) => new Promise((resolve, reject) => {
+    if(options.signal.aborted){
+        reject(new Error('aborted'));
+        return;
+    }
+    options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+test('responses reject with typed errors', async (t) => {
+    const responses = [
+        { status : 401, body : { message : 'Invalid key' } },
+        { status : 429, headers : { 'retry-after' : '30' } },
+        { status : 422 },
+        { status : 500 }
+    ];
+    const calls = mockFetch(() => responses.shift());
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(200, 1), (error) => error instanceof TetheredAuthError && error.status === 401 && /Invalid key/.test(error.message));
+    await assert.rejects(uptime.pushStatus(200, 1), (error) => error instanceof TetheredRateLimitError && error.retryAfter === 30);
+    await assert.rejects(uptime.pushStatus(200, 1), (error) => error instanceof TetheredValidationError && error.endpoint === 'site/status');
+    await assert.rejects(uptime.pushStatus(200, 1), (error) => error instanceof TetheredError && error.status === 500);
+    await assert.rejects(uptime.pushIncident('Title'), TetheredValidationError);
+});
+
+test('request options are passed through by the API methods', async (t) => {
+    const calls = mockFetch(hang);
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(200, 1, undefined, { timeout : 0.05 }), (error) => error instanceof TetheredNetworkError && error.timeout);
+
+    const controller = new AbortController();
+    const pending = uptime.getIncident(5, { signal : controller.signal });
+    controller.abort();
+    await assert.rejects(pending, (error) => error instanceof TetheredNetworkError && error.aborted);
+});
+
+test('a created monitor without an ID rejects with a typed error', async (t) => {
+    const calls = mockFetch((url, options) => options.method === 'GET' ? { body : [] } : { body : { name : 'web' } });
+    const uptime = create({ monitorId : false });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.ensureMonitor({ name : 'web' }), (error) => error instanceof TetheredError && /no ID was returned/.test(error.message));
+});
+
+test('target scrapes reject with typed errors', async (t) => {
+    let handler = hang;
+    const calls = mockFetch((url, options) => handler(url, options));
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.scrapeTarget({ url : 'http://127.0.0.1:9100/metrics', timeout : 0.05 }), (error) => error instanceof TetheredNetworkError && error.timeout);
+
+    handler = () => ({ status : 404 });
+    await assert.rejects(uptime.scrapeTarget({ url : 'http://127.0.0.1:9100/metrics' }), (error) => error instanceof TetheredError && error.status === 404);
+});
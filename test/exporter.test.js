@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const nodeHttp = require('node:http');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+/* Fetch is mocked during these tests, so the exporter is scraped with the http module */
+function get(port, path){
+    return new Promise((resolve, reject) => {
+        nodeHttp.get({ host : '127.0.0.1', port : port, path : path }, (response) => {
+            let body = '';
+            response.on('data', (chunk) => body += chunk);
+            response.on('end', () => resolve({ status : response.statusCode, body : body }));
+        }).on('error', reject);
+    });
+}
+
+/* Create an instance with the exporter on a free port, and wait for it to listen */
+function exporter(t, config){
+    const uptime = create(Object.assign({
+        metricFlags : [Tethered.METRIC_FLAGS.MEMORY],
+        prometheus : { enabled : true, port : 0 }
+    }, config));
+    t.after(() => uptime.destroy());
+
+    return new Promise((resolve) => {
+        uptime.listen('prometheus.started', (address) => resolve({ uptime : uptime, port : address.port }));
+    });
+}
+
+test('scrapes share a cached snapshot, and do not reset counters', async (t) => {
+    const calls = mockFetch();
+    t.after(() => calls.restore());
+
+    const { uptime, port } = await exporter(t);
+
+    let snapshots = 0;
+    uptime.addModifier('snapshot', (snapshot) => {
+        snapshots++;
+        return snapshot;
+    });
+
+    uptime.counter('jobs').inc(3);
+
+    const scrapes = await Promise.all([get(port, '/metrics'), get(port, '/metrics')]);
+    const later = await get(port, '/metrics');
+
+    for(let scrape of scrapes.concat([later])){
+        assert.strictEqual(scrape.status, 200);
+        assert.match(scrape.body, /# TYPE tethered_jobs counter\ntethered_jobs 3\n/);
+        assert.match(scrape.body, /tethered_memory \d+/);
+    }
+    assert.strictEqual(snapshots, 1);
+
+    /* Application metrics are read fresh on each scrape */
+    uptime.counter('jobs').inc(2);
+    assert.match((await get(port, '/metrics')).body, /tethered_jobs 5\n/);
+
+    /* The push still includes everything counted, and its snapshot replaces the cached one */
+    await uptime.pushMetrics();
+    const pushed = JSON.parse(calls[0].body.list);
+    assert.strictEqual(pushed.find((metric) => metric.key === 'jobs').value, 5);
+    assert.strictEqual(snapshots, 2);
+
+    assert.match((await get(port, '/metrics')).body, /tethered_jobs 0\n/);
+    assert.strictEqual(snapshots, 2);
+});
+
+test('snapshots are taken on every scrape when caching is off', async (t) => {
+    const { uptime, port } = await exporter(t, { prometheus : { enabled : true, port : 0, cache : 0 } });
+
+    let snapshots = 0;
+    uptime.addModifier('snapshot', (snapshot) => {
+        snapshots++;
+        return snapshot;
+    });
+
+    await get(port, '/metrics');
+    await get(port, '/metrics');
+    assert.strictEqual(snapshots, 2);
+
+    assert.strictEqual((await get(port, '/other')).status, 404);
+});
@@ -0,0 +1,14 @@
+/* Preloaded by the CLI tests, answers every API request with a 200 echoing what was sent */
+global.fetch = (url, options) => {
+    const text = JSON.stringify({
+        method : options.method,
+        url : url,
+        body : typeof options.body === 'string' ? JSON.parse(options.body) : null
+    });
+
+    return Promise.resolve({
+        status : 200,
+        headers : { get : () => null },
+        text : () => Promise.resolve(text)
+    });
+};
@@ -0,0 +1,59 @@
+const { Tethered } = require('../index.js');
+
+/**
+ * Replace the global fetch with a stub, which answers every request with the handler's response
+ *
+ * The handler receives the url, the request options and the parsed body, and returns an object with an optional status, body and 
+ * headers (or a Promise of one). The returned list holds every request made, and has a restore method to put the real fetch back
+ *
+ * @param function handler Optional handler, every request gets an empty 200 response without one
+ *
+ * @return array
+ */
+function mockFetch(handler){
+    const calls = [];
+    const original = global.fetch;
+
+    global.fetch = (url, options) => {
+        const body = options && typeof options.body === 'string' ? JSON.parse(options.body) : null;
+        calls.push({ url : url, options : options, body : body });
+
+        return Promise.resolve(handler ? handler(url, options, body) : {}).then((result) => {
+            result = result || {};
+            const headers = result.headers || {};
+            const text = typeof result.body === 'string' ? result.body : JSON.stringify(typeof result.body !== 'undefined' ? result.body : {});
+
+            return {
+                status : result.status || 200,
+                headers : { get : (key) => headers[key.toLowerCase()] || null },
+                text : () => Promise.resolve(text)
+            };
+        });
+    };
+
+    calls.restore = () => {
+        global.fetch = original;
+    };
+
+    return calls;
+}
+
+/**
+ * Create an instance in manual mode, so nothing is scheduled while a test runs
+ *
+ * @param object config Configuration options, merged over the test defaults
+ *
+ * @return TetheredUptime
+ */
+function create(config){
+    return new Tethered(Object.assign({
+        apikey : "test-key",
+        monitorId : 1,
+        mode : Tethered.MODE_TYPES.MANUAL
+    }, config));
+}
+
+module.exports = {
+    mockFetch : mockFetch,
+    create : create
+};
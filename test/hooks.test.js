@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch, create } = require('./helpers.js');
+
+test('modifiers run in priority order, and async modifiers are waited for by pushes', async (t) => {
+    const calls = mockFetch();
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.addModifier('status.code', (code) => code + 1, 20);
+    uptime.addModifier('status.code', (code) => code * 2);
+    uptime.addModifier('status.*', (value, tag) => tag === 'status.time' ? new Promise((resolve) => setTimeout(() => resolve(value + 50), 5)) : value);
+
+    await uptime.pushStatus(100, 10);
+    assert.strictEqual(calls[0].body.status, 201);
+    assert.strictEqual(calls[0].body.time, 60);
+});
+
+test('a failing hook is isolated and reported, and the others still run', async (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    const errors = [];
+    uptime.listen('error', (data) => errors.push([data.type, data.tag]));
+
+    const received = [];
+    uptime.listen('custom', () => {
+        throw new Error('Broken listener');
+    });
+    uptime.listen('custom', () => Promise.reject(new Error('Broken async listener')));
+    uptime.listen('custom', (data) => received.push(data));
+
+    uptime.addModifier('value', () => {
+        throw new Error('Broken modifier');
+    }, 1);
+    uptime.addModifier('value', () => Promise.resolve(5), 2);
+    uptime.addModifier('value', (value) => value + 1, 3);
+
+    uptime.trigger('custom', 'sent');
+    assert.deepStrictEqual(received, ['sent']);
+
+    /* The synchronous path can't wait for the Promise, so that modifier is skipped too */
+    assert.strictEqual(uptime.applyModifiers('value', 1), 2);
+    assert.strictEqual(await uptime.applyModifiersAsync('value', 1), 6);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(errors, [
+        ['listener', 'custom'],
+        ['modifier', 'value'],
+        ['modifier', 'value'],
+        ['modifier', 'value'],
+        ['listener', 'custom']
+    ]);
+});
+
+test('listeners can be removed, run once, or match a wildcard', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    const seen = [];
+    const remove = uptime.listen('job', () => seen.push('listen'));
+    const handler = () => seen.push('off');
+    uptime.listen('job', handler);
+    uptime.once('job', () => seen.push('once'));
+    uptime.listen('job.*', (data, tag) => seen.push(tag));
+
+    uptime.trigger('job');
+    uptime.trigger('job.complete');
+    assert.deepStrictEqual(seen, ['listen', 'off', 'once', 'job.complete']);
+
+    seen.length = 0;
+    remove();
+    assert.strictEqual(uptime.off('job', handler), true);
+    assert.strictEqual(uptime.off('job', handler), false);
+
+    uptime.trigger('job');
+    assert.deepStrictEqual(seen, []);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch, create } = require('./helpers.js');
+
+test('the status window is not cleared by a metrics push', async (t) => {
+    const calls = mockFetch(() => ({ body : {} }));
+    const uptime = create({ http : { status : true, errorRate : 10 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.recordRequest('/', 200, 20);
+    uptime.recordRequest('/', 500, 40);
+
+    const metrics = uptime.httpMetrics();
+    assert.strictEqual(metrics.find((metric) => metric.key === 'http_requests').value, 2);
+    assert.strictEqual(uptime.httpMetrics().length, 0);
+
+    assert.deepStrictEqual(uptime.httpStatus(), { code : 500, time : 30 });
+
+    await uptime.pushStatus();
+    assert.strictEqual(calls[0].body.status, 500);
+    assert.strictEqual(calls[0].body.time, 30);
+    assert.strictEqual(uptime.httpStatus(), false);
+});
+
+test('a status for another monitor keeps the status window', async (t) => {
+    const calls = mockFetch(() => ({ body : {} }));
+    const uptime = create({ http : { status : true } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.recordRequest('/', 200, 10);
+    await uptime.pushStatus(200, 5, 9);
+    assert.deepStrictEqual(uptime.httpStatus(), { code : 200, time : 10 });
+});
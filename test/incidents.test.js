@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch, create } = require('./helpers.js');
+
+const page = (url) => parseInt(new URL(url).searchParams.get('page'));
+const incidents = (from, count) => Array.from({ length : count }, (value, index) => ({ id : from + index, siteid : 1, status : 0 }));
+
+const collect = async (uptime, filters) => {
+    const list = [];
+    for await (const incident of uptime.incidents(filters)){
+        list.push(incident.id);
+    }
+    return list;
+};
+
+test('plain array pages stop at a short page', async (t) => {
+    const pages = { 1 : incidents(1, 3), 2 : incidents(4, 3), 3 : incidents(7, 1) };
+    const calls = mockFetch((url) => ({ body : pages[page(url)] || [] }));
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    assert.deepStrictEqual(await collect(uptime), [1, 2, 3, 4, 5, 6, 7]);
+    assert.strictEqual(calls.length, 3);
+});
+
+test('paging stops when the API ignores the page parameter', async (t) => {
+    const calls = mockFetch(() => ({ body : incidents(1, 3) }));
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    assert.deepStrictEqual(await collect(uptime), [1, 2, 3]);
+    assert.strictEqual(calls.length, 2);
+});
+
+test('paging follows the page count, and filters incidents', async (t) => {
+    const calls = mockFetch((url) => ({ body : { pages : 2, data : page(url) === 1 ? incidents(1, 2) : [{ id : 3, siteid : 2, status : 0 }, { id : 4, siteid : 1, status : 1 }] } }));
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    assert.deepStrictEqual(await collect(uptime, { status : 0, monitorId : true }), [1, 2]);
+    assert.strictEqual(calls.length, 2);
+});
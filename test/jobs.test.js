@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch, create } = require('./helpers.js');
+
+/* Job statuses and incidents are sent without waiting, so give them a moment to arrive */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test('tracked jobs push their status and duration, and open an incident on failure', async (t) => {
+    const calls = mockFetch(() => ({ body : { id : 4 } }));
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    assert.strictEqual(await uptime.track('backup', () => 'done', { monitorId : 5 }), 'done');
+    await assert.rejects(uptime.track('backup', () => Promise.reject(new Error('Disk full'))), /Disk full/);
+    await settle();
+
+    const statuses = calls.filter((call) => call.url.includes('site/status'));
+    assert.deepStrictEqual(statuses.map((call) => [call.body.id, call.body.status]), [[5, 200], [5, 500]]);
+
+    const incidents = calls.filter((call) => call.body && call.body.incident_title);
+    assert.strictEqual(incidents.length, 1);
+    assert.strictEqual(incidents[0].body.incident_title, "Job 'backup' failed");
+    assert.match(incidents[0].body.data_description, /Disk full/);
+
+    const job = uptime.job('backup');
+    assert.strictEqual(job.runs, 2);
+    assert.strictEqual(job.failures, 1);
+
+    /* Heartbeats reuse the monitor the job was tracked with */
+    await uptime.heartbeat('backup');
+    assert.strictEqual(calls[calls.length - 1].body.id, 5);
+});
+
+test('job statuses for the configured monitor keep the HTTP status window', async (t) => {
+    const calls = mockFetch(() => ({ body : {} }));
+    const uptime = create({ http : { status : true } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.recordRequest('/', 200, 10);
+
+    await assert.rejects(uptime.track('report', () => { throw new Error('Failed'); }, { incident : false }));
+    await uptime.heartbeat('report');
+    await settle();
+
+    assert.deepStrictEqual(calls.map((call) => call.body.status), [500, 200]);
+    assert.deepStrictEqual(uptime.httpStatus(), { code : 200, time : 10 });
+
+    /* The server status still uses, and then clears, the window */
+    await uptime.pushStatus();
+    assert.strictEqual(calls[2].body.time, 10);
+    assert.strictEqual(uptime.httpStatus(), false);
+});
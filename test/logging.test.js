@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('internal logs keep structured records, above the level, in a bounded buffer', async (t) => {
+    const calls = mockFetch(() => ({ status : 500 }));
+    const uptime = create({ logMode : Tethered.LOG_MODES.INTERNAL, logLevel : Tethered.LOG_LEVELS.INFO, logBuffer : 3 });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(200, 0));
+
+    const failed = uptime.logs.find((record) => record.message === 'Status request failed');
+    assert.strictEqual(failed.level, 'error');
+    assert.strictEqual(failed.context.error.name, 'TetheredError');
+    assert.match(failed.time, /^\d{4}-\d{2}-\d{2}T/);
+
+    for(let i = 0; i < 5; i++){
+        uptime.log(`Record ${i}`, Tethered.LOG_LEVELS.WARN, { event : 'test.record', attempt : i });
+    }
+    uptime.log('Too detailed', Tethered.LOG_LEVELS.DEBUG);
+
+    assert.deepStrictEqual(uptime.logs.map((record) => record.message), ['Record 2', 'Record 3', 'Record 4']);
+    assert.deepStrictEqual(uptime.logs[2], Object.assign({}, uptime.logs[2], { level : 'warn', event : 'test.record', context : { attempt : 4 } }));
+});
+
+test('custom loggers receive each record with the method for its level', (t) => {
+    const lines = [];
+    const logger = {};
+    for(let method of ['debug', 'info', 'warn', 'error']){
+        logger[method] = (...args) => lines.push([method].concat(args));
+    }
+
+    const uptime = create({ logMode : Tethered.LOG_MODES.CUSTOM, logLevel : Tethered.LOG_LEVELS.DEBUG, logger : logger });
+    t.after(() => uptime.destroy());
+
+    lines.length = 0;
+    uptime.log('Queue replay scheduled', Tethered.LOG_LEVELS.DEBUG);
+    uptime.log('Probe failed', Tethered.LOG_LEVELS.WARN, { event : 'probe.failed', host : 'db' });
+
+    assert.deepStrictEqual(lines, [
+        ['debug', 'Queue replay scheduled'],
+        ['warn', 'Probe failed', { event : 'probe.failed', host : 'db' }]
+    ]);
+
+    /* Pino style loggers take the fields first */
+    const pino = [];
+    const fields = create({ logMode : Tethered.LOG_MODES.CUSTOM, logger : { bindings : () => ({}), info : (...args) => pino.push(args) } });
+    t.after(() => fields.destroy());
+    fields.log('Ready', Tethered.LOG_LEVELS.INFO, { event : 'ready' });
+    assert.deepStrictEqual(pino[pino.length - 1], [{ event : 'ready' }, 'Ready']);
+});
+
+test('logging can be disabled', (t) => {
+    const uptime = create({ logMode : Tethered.LOG_MODES.DISABLED });
+    t.after(() => uptime.destroy());
+
+    uptime.log('Nothing', Tethered.LOG_LEVELS.ERROR);
+    assert.strictEqual(uptime.logs.length, 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('monitor methods use the request helpers', async (t) => {
+    const calls = mockFetch(() => ({ body : { id : 4 } }));
+    const uptime = create({ monitorId : false });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const methods = [];
+    uptime.listen('request', (request) => methods.push(request.options.method));
+
+    await uptime.getMonitor(4);
+    await uptime.createMonitor({ name : 'web' });
+    await uptime.updateMonitor(4, { name : 'api' });
+    await uptime.deleteMonitor(4, { timeout : 5 });
+
+    assert.deepStrictEqual(methods, ['GET', 'POST', 'POST', 'DELETE']);
+    assert.match(calls[0].url, /\/site\/\?.*id=4/);
+    assert.strictEqual(calls[1].body.name, 'web');
+    assert.strictEqual(calls[1].body.apikey, 'test-key');
+    await assert.rejects(uptime.deleteMonitor(), /Missing required monitor fields/);
+});
+
+test('setting the monitor makes the instance ready and replays the queue', async (t) => {
+    const calls = mockFetch(() => ({ body : {} }));
+    const uptime = create({ monitorId : false, queue : { enabled : true } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.enqueue('site/status', { id : 2, status : 200, time : 1 });
+    assert.ok(!uptime.ready);
+
+    const flushed = new Promise((resolve) => uptime.listen('queue.flushed', resolve));
+    uptime.setMonitor(2);
+    assert.ok(uptime.ready);
+    await flushed;
+
+    assert.strictEqual(uptime.queue.length, 0);
+    assert.strictEqual(calls[0].body.apikey, 'test-key');
+});
+
+test('ensureMonitor keeps a configured monitor unless asked to replace it', async (t) => {
+    const calls = mockFetch((url, options) => options.method === 'GET' ? { body : [{ id : 8, name : 'web', type : 'machine' }] } : { body : {} });
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const kept = await uptime.ensureMonitor({ name : 'web' });
+    assert.deepStrictEqual([kept.id, kept.created, kept.active], [8, false, false]);
+    assert.strictEqual(uptime.configuration.monitorId, 1);
+
+    const replaced = await uptime.ensureMonitor({ name : 'web' }, true);
+    assert.strictEqual(replaced.active, true);
+    assert.strictEqual(uptime.configuration.monitorId, 8);
+
+    /* Without a configured monitor, the one found is used */
+    const waiting = create({ monitorId : 0 });
+    t.after(() => waiting.destroy());
+    const found = await waiting.ensureMonitor({ name : 'web' });
+    assert.strictEqual(found.active, true);
+    assert.strictEqual(waiting.ready, true);
+    assert.strictEqual(waiting.configuration.monitorId, 8);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered, TetheredValidationError } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('sync reports each named monitor with its own flags, sharing one snapshot', async (t) => {
+    const calls = mockFetch();
+    const uptime = create({
+        syncFlags : [Tethered.SYNC_FLAGS.STATUS],
+        metricFlags : [Tethered.METRIC_FLAGS.CPU],
+        monitors : {
+            db : { id : 2, syncFlags : [Tethered.SYNC_FLAGS.STATUS, Tethered.SYNC_FLAGS.METRICS], metricFlags : [Tethered.METRIC_FLAGS.LOAD] },
+            cache : { id : 3 }
+        }
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    let snapshots = 0;
+    uptime.snapshot = () => {
+        snapshots++;
+        return Promise.resolve({ cpu : 12, load : 40 });
+    };
+    uptime.counter('jobs').inc();
+
+    await uptime.sync();
+
+    const statuses = calls.filter((call) => call.url.includes('site/status')).map((call) => call.body.id).sort();
+    assert.deepStrictEqual(statuses, [1, 2, 3]);
+
+    /* Only 'db' sends metrics, with its own flags and without the process metrics, which belong to the configured monitor */
+    const metrics = calls.filter((call) => call.url.includes('metrics/'));
+    assert.strictEqual(metrics.length, 1);
+    assert.strictEqual(metrics[0].body.site, 2);
+    assert.deepStrictEqual(JSON.parse(metrics[0].body.list).map((metric) => metric.key), ['load']);
+    assert.strictEqual(snapshots, 1);
+});
+
+test('push methods accept a monitor name or ID', async (t) => {
+    const calls = mockFetch(() => ({ body : { id : 1 } }));
+    const uptime = create({ monitors : { db : { id : 2 } } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await uptime.pushStatus(200, 0, 'db');
+    await uptime.pushMetric('connections', 5, 'Connections', 'average', 'line', 7);
+    await uptime.pushIncident('Replica lag', 'Lag above 30s', 'NodeJS', 0, 'db');
+
+    assert.deepStrictEqual(calls.map((call) => call.body.id || call.body.site || call.body.siteid), [2, 7, 2]);
+    await assert.rejects(uptime.pushStatus(200, 0, 'missing'), (error) => error instanceof TetheredValidationError && /Unknown monitor 'missing'/.test(error.message));
+});
+
+test('named monitors are enough to make the instance ready', (t) => {
+    const uptime = new Tethered({ apikey : "test-key", mode : Tethered.MODE_TYPES.MANUAL, monitors : { db : { id : 2 } } });
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.ready, true);
+    assert.throws(() => uptime.configure({ strictConfig : true, monitors : { db : { id : 'two' } } }), TetheredValidationError);
+});
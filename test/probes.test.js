@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('a probe which cannot run does not drop the results of the others', async (t) => {
+    const server = net.createServer((socket) => socket.end());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const calls = mockFetch();
+    const uptime = create({
+        probes : [
+            { type : Tethered.PROBE_TYPES.TCP, host : '127.0.0.1', port : server.address().port, monitorId : 2 }
+        ]
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+        server.close();
+    });
+
+    /* The invalid type is rejected by validation, so it is added after the instance is created */
+    uptime.configuration.probes.push({ type : 99 });
+
+    const failed = [];
+    uptime.listen('probe.failed', (data) => failed.push(data));
+
+    const results = await uptime.runProbes();
+    assert.strictEqual(results.length, 2);
+    assert.strictEqual(results[0].ok, true);
+    assert.strictEqual(results[1].ok, false);
+    assert.match(results[1].error, /Unsupported probe type/);
+    assert.strictEqual(failed.length, 1);
+
+    const statuses = calls.filter((call) => call.url.includes('site/status'));
+    assert.strictEqual(statuses.length, 1);
+    assert.strictEqual(statuses[0].body.id, 2);
+});
+
+test('sync only runs probes for monitors which send status updates', async (t) => {
+    const server = net.createServer((socket) => socket.end());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+
+    const calls = mockFetch();
+    const uptime = create({
+        metricFlags : [],
+        monitors : {
+            api : { id : 2, syncFlags : [Tethered.SYNC_FLAGS.STATUS], probes : [{ type : Tethered.PROBE_TYPES.TCP, host : '127.0.0.1', port : port }] },
+            graphs : { id : 3, syncFlags : [Tethered.SYNC_FLAGS.METRICS], probes : [{ type : Tethered.PROBE_TYPES.TCP, host : '127.0.0.1', port : port }] }
+        }
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+        server.close();
+    });
+
+    const completed = [];
+    uptime.listen('probes.complete', (results) => completed.push(results));
+
+    await uptime.sync(['status']);
+
+    assert.strictEqual(completed.length, 1);
+    assert.strictEqual(completed[0].length, 1);
+
+    const statuses = calls.filter((call) => call.url.includes('site/status')).map((call) => call.body.id).sort();
+    assert.deepStrictEqual(statuses, [1, 2]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('failed pushes are queued, and replayed without the API key', async (t) => {
+    let status = 503;
+    const calls = mockFetch(() => ({ status : status }));
+    const uptime = create({ queue : { enabled : true, retryDelay : 60 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(200, 10));
+    assert.strictEqual(uptime.queue.length, 1);
+    assert.strictEqual(uptime.queue[0].data.apikey, undefined);
+
+    status = 200;
+    assert.strictEqual(await uptime.flushQueue(), 0);
+    assert.strictEqual(calls[calls.length - 1].body.apikey, "test-key");
+});
+
+test('payloads rejected by the API are not queued', async (t) => {
+    const calls = mockFetch(() => ({ status : 422 }));
+    const uptime = create({ queue : { enabled : true } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(200, 10));
+    assert.strictEqual(uptime.queue.length, 0);
+});
+
+test('the queue is trimmed to its maximum size, oldest first', async (t) => {
+    const calls = mockFetch(() => ({ status : 500 }));
+    const uptime = create({ queue : { enabled : true, maxSize : 2, retryDelay : 60 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    for(let code of [201, 202, 203]){
+        await assert.rejects(uptime.pushStatus(code, 0));
+    }
+
+    assert.deepStrictEqual(uptime.queue.map((entry) => entry.data.status), [202, 203]);
+});
+
+test('new pushes wait behind the queue, so the API receives them in order', async (t) => {
+    let status = 503;
+    const calls = mockFetch(() => ({ status : status }));
+    const uptime = create({ queue : { enabled : true, retryDelay : 60 } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await assert.rejects(uptime.pushStatus(201, 0));
+
+    /* Still unavailable, so the new push rejects and is held behind the first */
+    await assert.rejects(uptime.pushStatus(202, 0), (error) => error.status === 503);
+    assert.deepStrictEqual(uptime.queue.map((entry) => entry.data.status), [201, 202]);
+
+    status = 200;
+    const sent = calls.length;
+    await uptime.pushStatus(203, 0);
+
+    assert.deepStrictEqual(calls.slice(sent).map((call) => call.body.status), [201, 202, 203]);
+    assert.strictEqual(uptime.queue.length, 0);
+});
+
+test('a disk queue enabled with configure replays what a previous run left', async (t) => {
+    const file = path.join(os.tmpdir(), `tethered-queue-${process.pid}.jsonl`);
+    const entry = { endpoint : 'site/status', data : { site : 1, status : 500, time : 0 }, queued : Date.now(), attempts : 1 };
+    fs.writeFileSync(file, `${JSON.stringify(entry)}\n`);
+
+    const calls = mockFetch();
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+        fs.rmSync(file, { force : true });
+    });
+
+    const flushed = new Promise((resolve) => uptime.listen('queue.flushed', resolve));
+    uptime.configure({ queue : { enabled : true, storage : Tethered.QUEUE_STORAGE.DISK, path : file } });
+    await flushed;
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].body.status, 500);
+    assert.strictEqual(calls[0].body.apikey, "test-key");
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), "");
+});
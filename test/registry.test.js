@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create } = require('./helpers.js');
+
+test('histograms keep a bounded sample and exact summaries', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    const histogram = uptime.histogram('latency');
+    for(let i = 1; i <= 300000; i++){
+        histogram.observe(i);
+    }
+
+    assert.strictEqual(histogram.values().length, 10000);
+
+    const metrics = uptime.registryMetrics();
+    const value = (key) => metrics.find((metric) => metric.key === key).value;
+    assert.strictEqual(value('latency_count'), 300000);
+    assert.strictEqual(value('latency_max'), 300000);
+    assert.strictEqual(value('latency'), 150000.5);
+    assert.ok(value('latency_p50') > 100000 && value('latency_p50') < 200000);
+
+    assert.strictEqual(uptime.registryMetrics().length, 0);
+});
+
+test('aggregate handles large value lists', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    const values = Array.from({ length : 300000 }, (value, index) => index);
+    assert.strictEqual(uptime.aggregate(values, 'min'), 0);
+    assert.strictEqual(uptime.aggregate(values, 'max'), 299999);
+});
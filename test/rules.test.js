@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('a rule that recovers before its incident is opened still resolves it', async (t) => {
+    let release;
+    const opened = new Promise((resolve) => {
+        release = resolve;
+    });
+
+    const calls = mockFetch((url, options, body) => body.incident_title ? opened.then(() => ({ body : { id : 7 } })) : { body : {} });
+    const uptime = create({ rules : ['cpu > 90'] });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const recovered = [];
+    uptime.listen('rule.recovered', (context) => recovered.push(context));
+
+    uptime.evaluateRules([{ key : 'cpu', value : 95 }]);
+    uptime.evaluateRules([{ key : 'cpu', value : 10 }]);
+    assert.strictEqual(recovered.length, 1);
+
+    const resolved = new Promise((resolve) => uptime.listen('incident.update.complete', resolve));
+    release();
+    await resolved;
+
+    const update = calls.find((call) => call.body.status === Tethered.INCIDENT_STATUS.RESOLVED);
+    assert.strictEqual(update.body.id, 7);
+    assert.ok(!uptime.ruleState[Object.keys(uptime.ruleState)[0]].open);
+});
+
+test('a rule stays open until it recovers, and opens one incident per breach', async (t) => {
+    const calls = mockFetch(() => ({ body : { id : 3 } }));
+    const uptime = create({ rules : ['cpu > 90 for 2'] });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    uptime.evaluateRules([{ key : 'cpu', value : 95 }]);
+    assert.strictEqual(calls.length, 0);
+
+    uptime.evaluateRules([{ key : 'cpu', value : 95 }]);
+    uptime.evaluateRules([{ key : 'cpu', value : 99 }]);
+
+    const resolved = new Promise((resolve) => uptime.listen('incident.update.complete', resolve));
+    uptime.evaluateRules([{ key : 'cpu', value : 50 }]);
+    await resolved;
+
+    assert.strictEqual(calls.filter((call) => call.body.incident_title).length, 1);
+    assert.strictEqual(calls.filter((call) => call.body.status === Tethered.INCIDENT_STATUS.RESOLVED).length, 1);
+});
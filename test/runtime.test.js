@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { Tethered } = require('../index.js');
+const { create } = require('./helpers.js');
+
+test('runtime metrics report the heap, memory and active handles', async (t) => {
+    const uptime = create({
+        metricFlags : [Tethered.METRIC_FLAGS.HEAP, Tethered.METRIC_FLAGS.RSS, Tethered.METRIC_FLAGS.EXTERNAL, Tethered.METRIC_FLAGS.HANDLES]
+    });
+    t.after(() => uptime.destroy());
+
+    const value = (list, key) => list.find((metric) => metric.key === key).value;
+    const before = uptime.compileMetrics(uptime.runtimeSnapshot());
+
+    assert.ok(value(before, 'heap_used') > 0);
+    assert.ok(value(before, 'heap_total') >= value(before, 'heap_used'));
+    assert.ok(value(before, 'rss') > 0);
+    assert.ok(value(before, 'active_requests') >= 0);
+
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const after = uptime.compileMetrics(uptime.runtimeSnapshot());
+    assert.strictEqual(value(after, 'active_handles'), value(before, 'active_handles') + 1);
+});
+
+test('event loop and garbage collection figures are only included when enabled', (t) => {
+    const uptime = create({ metricFlags : [Tethered.METRIC_FLAGS.EVENT_LOOP, Tethered.METRIC_FLAGS.GC] });
+    t.after(() => uptime.destroy());
+
+    const runtime = uptime.runtimeSnapshot();
+    assert.ok(runtime.eventLoop instanceof Object);
+    assert.strictEqual(typeof runtime.eventLoop.p99, 'number');
+    assert.deepStrictEqual(Object.keys(runtime.gc).sort(), ['count', 'pause']);
+
+    const plain = create({ metricFlags : [Tethered.METRIC_FLAGS.HEAP] });
+    t.after(() => plain.destroy());
+    assert.strictEqual(plain.runtimeSnapshot().eventLoop, undefined);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered } = require('../index.js');
+const { create } = require('./helpers.js');
+
+/* Let pending promise callbacks run, while the timers are mocked */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('changing the sampling interval restarts the sampler', async (t) => {
+    t.mock.timers.enable({ apis : ['setInterval'] });
+    const uptime = create({ metricFlags : [Tethered.METRIC_FLAGS.CPU], sampling : { enabled : true, interval : 60 } });
+    t.after(() => uptime.destroy());
+
+    /* Skip the real snapshot, which takes a second to measure the CPU */
+    let cpu = 0;
+    uptime.snapshot = () => Promise.resolve({ cpu : cpu += 10 });
+
+    const samples = [];
+    uptime.listen('sample', (sample) => samples.push(sample));
+    assert.ok(uptime.isSampling());
+
+    uptime.configure({ sampling : { interval : 5 } });
+    assert.ok(uptime.isSampling());
+
+    t.mock.timers.tick(4999);
+    await settle();
+    assert.strictEqual(samples.length, 0);
+
+    t.mock.timers.tick(1);
+    await settle();
+    t.mock.timers.tick(5000);
+    await settle();
+    assert.deepStrictEqual(samples.map((sample) => sample.list[0].value), [10, 20]);
+
+    /* The samples are aggregated into the next metrics list */
+    const list = await uptime.metricsList({ cpu : 30 }, true);
+    const value = (key) => list.find((metric) => metric.key === key).value;
+    assert.strictEqual(value('cpu'), 20);
+    assert.strictEqual(value('cpu_max'), 30);
+
+    uptime.configure({ sampling : { enabled : false } });
+    assert.ok(!uptime.isSampling());
+
+    t.mock.timers.tick(5000);
+    await settle();
+    assert.strictEqual(samples.length, 2);
+});
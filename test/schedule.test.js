@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tethered, TetheredValidationError } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('durations are parsed into seconds', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.parseDuration(90), 90);
+    assert.strictEqual(uptime.parseDuration('500ms'), 0.5);
+    assert.strictEqual(uptime.parseDuration('15m'), 900);
+    assert.strictEqual(uptime.parseDuration('2h'), 7200);
+    assert.strictEqual(uptime.parseDuration('1d'), 86400);
+    assert.ok(isNaN(uptime.parseDuration('soon')));
+    assert.ok(isNaN(uptime.parseDuration(-1)));
+});
+
+test('schedules are validated', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.scheduleProblem({ every : '60s', jitter : '5s' }), false);
+    assert.strictEqual(uptime.scheduleProblem({ cron : '*/5 * * * *', timezone : 'UTC' }), false);
+    assert.ok(uptime.scheduleProblem({ every : '60s', cron : '* * * * *' }));
+    assert.ok(uptime.scheduleProblem({ every : 'often' }));
+    assert.ok(uptime.scheduleProblem({ cron : 'not a cron' }));
+    assert.ok(uptime.scheduleProblem({ every : '60s', unknown : true }));
+});
+
+test('durations longer than a timer supports are rejected', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    assert.strictEqual(uptime.scheduleProblem({ every : '24d' }), false);
+    assert.match(uptime.scheduleProblem({ every : '25d' }), /24 days/);
+    assert.match(uptime.scheduleProblem({ every : '60s', jitter : '30d' }), /24 days/);
+    assert.match(uptime.validateOption('intervalTime', '25d'), /24 days/);
+    assert.match(uptime.validateOption('jitter', 2200000), /24 days/);
+
+    assert.throws(() => create({ strictConfig : true, intervalTime : '25d' }), TetheredValidationError);
+
+    /* Every other option in seconds ends up in a timer too */
+    const day = 86400;
+    for(let config of [
+        { sampling : { interval : 25 * day } },
+        { cluster : { interval : 25 * day } },
+        { batch : { window : 25 * day } },
+        { queue : { retryDelay : 25 * day } },
+        { queue : { maxRetryDelay : 25 * day } },
+        { rateLimit : { interval : 25 * day } },
+        { shutdown : { timeout : 25 * day } },
+        { timeout : 25 * day },
+        { probes : [{ type : Tethered.PROBE_TYPES.TCP, host : 'localhost', port : 80, timeout : 25 * day }] },
+        { targets : [{ url : 'http://localhost/metrics', timeout : 25 * day }] }
+    ]){
+        assert.throws(() => create(Object.assign({ strictConfig : true }, config)), /24 days/, JSON.stringify(config));
+    }
+
+    const accepted = create({ strictConfig : true, timeout : 24 * day, targets : [{ url : 'http://localhost/metrics', timeout : 5 }] });
+    accepted.destroy();
+});
+
+/* Let pending promise callbacks run, while the timers are mocked */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('each task runs on its own schedule', async (t) => {
+    t.mock.timers.enable({ apis : ['setInterval', 'setTimeout'] });
+    const calls = mockFetch();
+    const uptime = create({
+        mode : Tethered.MODE_TYPES.INTERVAL,
+        intervalTime : '1h',
+        metricFlags : [],
+        schedules : { status : { every : '30s' } }
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const ticks = [];
+    uptime.listen('schedule.tick', (data) => ticks.push(data.schedule));
+
+    /* Both schedules run straight away */
+    t.mock.timers.tick(0);
+    await settle();
+    assert.deepStrictEqual(ticks.sort(), ['status', 'sync']);
+
+    t.mock.timers.tick(30000);
+    t.mock.timers.tick(0);
+    await settle();
+    assert.deepStrictEqual(ticks.filter((name) => name === 'status').length, 2);
+    assert.deepStrictEqual(ticks.filter((name) => name === 'sync').length, 1);
+
+    t.mock.timers.tick(3600000 - 30000);
+    t.mock.timers.tick(0);
+    await settle();
+    assert.deepStrictEqual(ticks.filter((name) => name === 'sync').length, 2);
+});
+
+test('the scheduler can be stopped, started and rebuilt', (t) => {
+    t.mock.timers.enable({ apis : ['setInterval', 'setTimeout'] });
+    const calls = mockFetch();
+    const uptime = create({ mode : Tethered.MODE_TYPES.INTERVAL, intervalTime : 600 });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const events = [];
+    for(let name of ['started', 'stopped', 'rescheduled']){
+        uptime.listen(name, () => events.push(name));
+    }
+
+    assert.strictEqual(uptime.isRunning(), true);
+
+    uptime.stop();
+    assert.strictEqual(uptime.isRunning(), false);
+
+    uptime.start();
+    assert.strictEqual(uptime.isRunning(), true);
+
+    uptime.reschedule({ intervalTime : 300 });
+    assert.strictEqual(uptime.isRunning(), true);
+    assert.deepStrictEqual(events, ['stopped', 'started', 'stopped', 'rescheduled']);
+
+    uptime.destroy();
+    assert.strictEqual(uptime.isRunning(), false);
+});
+
+test('changing the mode through configure starts or stops the scheduler', (t) => {
+    t.mock.timers.enable({ apis : ['setInterval', 'setTimeout'] });
+    const calls = mockFetch();
+    const uptime = create();
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const rescheduled = [];
+    uptime.listen('rescheduled', () => rescheduled.push(true));
+
+    assert.strictEqual(uptime.isRunning(), false);
+
+    uptime.configure({ mode : Tethered.MODE_TYPES.INTERVAL, intervalTime : 600 });
+    assert.strictEqual(uptime.isRunning(), true);
+    assert.strictEqual(rescheduled.length, 1);
+
+    /* Options that don't affect timing leave the scheduler alone */
+    uptime.configure({ timeout : 5 });
+    assert.strictEqual(rescheduled.length, 1);
+
+    uptime.configure({ mode : Tethered.MODE_TYPES.MANUAL });
+    assert.strictEqual(uptime.isRunning(), false);
+
+    /* Instances that aren't ready yet are started once they are, by setMonitor */
+    const waiting = new Tethered({ apikey : "test-key", mode : Tethered.MODE_TYPES.MANUAL });
+    t.after(() => waiting.destroy());
+    waiting.configure({ mode : Tethered.MODE_TYPES.INTERVAL });
+    assert.strictEqual(waiting.isRunning(), false);
+    waiting.setMonitor(1);
+    assert.strictEqual(waiting.isRunning(), true);
+});
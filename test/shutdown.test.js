@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Tethered } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+const endpoint = (url) => url.replace(/^.*\/v\d+\//, '').replace(/\?.*$/, '');
+
+/* A deploy incident file of its own for each test, removed afterwards */
+const deployFile = (t) => {
+    const file = path.join(os.tmpdir(), `tethered-deploy-${process.pid}-${Math.random().toString(36).substring(2)}.json`);
+    t.after(() => fs.rmSync(file, { force : true }));
+    return file;
+};
+
+test('shutdown waits for the final pushes before destroying the instance', async (t) => {
+    const order = [];
+    const calls = mockFetch((url) => new Promise((resolve) => {
+        setTimeout(() => {
+            order.push(`response ${endpoint(url)}`);
+            resolve({ body : { id : 7 } });
+        }, 20);
+    }));
+    const file = deployFile(t);
+    const uptime = create({ shutdown : { status : 200, incident : true, path : file } });
+    t.after(() => calls.restore());
+
+    uptime.listen('shutdown', () => order.push('shutdown'));
+    uptime.listen('shutdown.complete', (data) => order.push(`complete ${data.pending}`));
+    uptime.listen('destroyed', () => order.push('destroyed'));
+
+    const first = uptime.shutdown();
+    assert.strictEqual(uptime.shutdown(), first);
+    assert.strictEqual(await first, 0);
+
+    /* The status and incident are sent side by side, so only their place relative to the events matters */
+    assert.deepStrictEqual(order.slice(1, 3).sort(), ['response incident/', 'response site/status']);
+    assert.deepStrictEqual([order[0]].concat(order.slice(3)), ['shutdown', 'complete 0', 'destroyed']);
+    assert.strictEqual(calls.find((call) => endpoint(call.url) === 'incident/').body.incident_source, 'deploy');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [7]);
+    assert.ok(!uptime.ready);
+});
+
+test('no failing status is sent by default', async (t) => {
+    const calls = mockFetch();
+    const uptime = create();
+    t.after(() => calls.restore());
+
+    assert.strictEqual(await uptime.shutdown(), 0);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('shutdown gives up on requests after the timeout', async (t) => {
+    const calls = mockFetch(() => new Promise(() => {}));
+    const uptime = create({ timeout : 0, shutdown : { status : 200, timeout : 0.05 } });
+    t.after(() => calls.restore());
+
+    assert.strictEqual(await uptime.shutdown(), 1);
+});
+
+test('only the deploy incidents opened on shutdown are resolved, once', async (t) => {
+    const calls = mockFetch(() => ({ body : {} }));
+    const file = deployFile(t);
+    fs.writeFileSync(file, JSON.stringify([7, 9]));
+
+    const uptime = create({ shutdown : { incident : true, path : file } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await uptime.pushStatus(503, 0);
+    assert.strictEqual(calls.length, 1);
+
+    await uptime.pushStatus(200, 10);
+
+    /* Joins the check started by the status push */
+    assert.strictEqual(await uptime.resolveDeploy(), 2);
+
+    const updates = calls.filter((call) => endpoint(call.url) === 'incident/');
+    assert.deepStrictEqual(updates.map((call) => call.body.id).sort(), [7, 9]);
+    assert.ok(updates.every((call) => call.body.status === Tethered.INCIDENT_STATUS.RESOLVED));
+    assert.ok(!calls.some((call) => endpoint(call.url) === 'incidents/'));
+    assert.ok(!fs.existsSync(file));
+
+    /* Nothing left to resolve, so later statuses make no incident requests */
+    await uptime.pushStatus(200, 10);
+    assert.strictEqual(calls.filter((call) => endpoint(call.url) === 'incident/').length, 2);
+});
+
+test('deploy incidents that fail to resolve are kept for the next attempt', async (t) => {
+    const calls = mockFetch((url, options, body) => ({ status : body && body.id === 9 ? 500 : 200, body : {} }));
+    const file = deployFile(t);
+    fs.writeFileSync(file, JSON.stringify([7, 9]));
+
+    const uptime = create({ shutdown : { incident : true, path : file } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    assert.strictEqual(await uptime.resolveDeploy(), 1);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [9]);
+});
+
+test('cluster workers do not resolve deploy incidents', async (t) => {
+    const calls = mockFetch();
+    const file = deployFile(t);
+    fs.writeFileSync(file, JSON.stringify([7]));
+
+    const uptime = create({ shutdown : { incident : true, path : file }, cluster : { enabled : true, role : Tethered.CLUSTER_ROLES.WORKER } });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await uptime.pushStatus(200, 10);
+    assert.deepStrictEqual(calls.map((call) => endpoint(call.url)), ['site/status']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create } = require('./helpers.js');
+
+const metrics = (uptime) => {
+    const list = uptime.registryMetrics();
+    return (key) => (list.find((metric) => metric.key === key) || {}).value;
+};
+
+test('statsd lines are parsed into the registry', (t) => {
+    const uptime = create({ statsd : { prefix : 'app.' } });
+    t.after(() => uptime.destroy());
+
+    const invalid = [];
+    uptime.listen('statsd.invalid', (line) => invalid.push(line));
+
+    const added = uptime.ingestStatsd([
+        'api.requests:2|c',
+        'api.requests:1|c|@0.5',
+        'queue.depth:10|g',
+        'queue.depth:-3|g',
+        'api.latency:120|ms|#route:home',
+        'broken',
+        'api.requests:1|s'
+    ].join('\n'));
+
+    assert.strictEqual(added, 5);
+    assert.deepStrictEqual(invalid, ['broken', 'api.requests:1|s']);
+
+    const value = metrics(uptime);
+    assert.strictEqual(value('app_api_requests'), 4);
+    assert.strictEqual(value('app_queue_depth'), 7);
+    assert.strictEqual(value('app_api_latency'), 120);
+    assert.strictEqual(value('app_api_latency_count'), 1);
+});
+
+test('statsd timers apply the sample rate', (t) => {
+    const uptime = create();
+    t.after(() => uptime.destroy());
+
+    uptime.ingestStatsd('db.query:10|ms|@0.1\ndb.query:40|ms');
+
+    const value = metrics(uptime);
+    assert.strictEqual(value('db_query_count'), 11);
+    assert.strictEqual(value('db_query'), 12.73);
+    assert.strictEqual(value('db_query_max'), 40);
+    assert.strictEqual(uptime.histogram('db_query').values().length, 0);
+});
+
+test('statsd keys are capped', (t) => {
+    const uptime = create({ statsd : { maxKeys : 2 } });
+    t.after(() => uptime.destroy());
+
+    let invalid = 0;
+    uptime.listen('statsd.invalid', () => invalid++);
+
+    const lines = [];
+    for(let i = 0; i < 50; i++){
+        lines.push(`unique.${i}:1|ms`);
+    }
+
+    assert.strictEqual(uptime.ingestStatsd(lines.join('\n')), 2);
+    assert.strictEqual(uptime.ingestStatsd('unique.0:1|ms'), 1);
+    assert.strictEqual(invalid, 48);
+    assert.strictEqual(Object.keys(uptime.registry).length, 2);
+});
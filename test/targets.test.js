@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mockFetch, create } = require('./helpers.js');
+
+/* A small node_exporter style page, with the request counter at the given value */
+const exposition = (requests) => [
+    '# HELP redis_connected_clients Connected clients',
+    '# TYPE redis_connected_clients gauge',
+    'redis_connected_clients 12',
+    '# HELP redis_commands_total Commands processed',
+    '# TYPE redis_commands_total counter',
+    `redis_commands_total{cmd="get"} ${requests}`,
+    '# TYPE redis_uptime_seconds gauge',
+    'redis_uptime_seconds 3600',
+    ''
+].join("\n");
+
+test('target series are filtered, keyed by their labels, and counters are sent as rates', async (t) => {
+    t.mock.timers.enable({ apis : ['Date'], now : 1000000 });
+
+    let requests = 100;
+    const calls = mockFetch((url) => url.includes('broken') ? { status : 503 } : { body : exposition(requests) });
+    const uptime = create({
+        targets : [
+            { url : 'http://127.0.0.1:9121/metrics', metrics : ['redis_connected_clients', 'redis_commands_*'], prefix : 'redis_' },
+            { url : 'http://127.0.0.1:9999/broken' }
+        ]
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const failed = [];
+    uptime.listen('target.failed', (data) => failed.push(data.target.url));
+
+    /* Counters need a previous reading, so only the gauge is sent at first */
+    const first = await uptime.collectTargets();
+    assert.deepStrictEqual(first.map((metric) => [metric.key, metric.value]), [['redis_redis_connected_clients', 12]]);
+    assert.deepStrictEqual(failed, ['http://127.0.0.1:9999/broken']);
+
+    t.mock.timers.tick(10000);
+    requests = 150;
+
+    /* Peeking reads the rate without moving the previous reading */
+    const peeked = await uptime.collectTargets(true);
+    assert.strictEqual(peeked.find((metric) => metric.key === 'redis_redis_commands_total_cmd_get').value, 5);
+
+    t.mock.timers.tick(10000);
+    requests = 200;
+
+    const second = await uptime.collectTargets();
+    const rate = second.find((metric) => metric.key === 'redis_redis_commands_total_cmd_get');
+    assert.strictEqual(rate.value, 5);
+    assert.strictEqual(rate.label, 'redis_commands_total{cmd="get"} (per second)');
+
+    /* A lower reading means the counter restarted */
+    t.mock.timers.tick(10000);
+    requests = 20;
+    const reset = await uptime.collectTargets();
+    assert.strictEqual(reset.find((metric) => metric.key === 'redis_redis_commands_total_cmd_get').value, 2);
+});
+
+test('target metrics are included in the metrics push', async (t) => {
+    const calls = mockFetch((url) => url.includes('9121') ? { body : exposition(1) } : {});
+    const uptime = create({ metricFlags : [], targets : [{ url : 'http://127.0.0.1:9121/metrics', metrics : [/^redis_uptime/] }] });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    await uptime.pushMetrics(undefined, {});
+
+    const push = calls.find((call) => call.url.includes('metrics/'));
+    assert.deepStrictEqual(JSON.parse(push.body.list).map((metric) => [metric.key, metric.value]), [['redis_uptime_seconds', 3600]]);
+});
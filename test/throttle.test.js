@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TetheredRateLimitError } = require('../index.js');
+const { mockFetch, create } = require('./helpers.js');
+
+test('requests over the rate limiter queue size are rejected and queued', async (t) => {
+    const calls = mockFetch(() => ({ status : 200 }));
+    const uptime = create({
+        rateLimit : { enabled : true, requests : 1, interval : 0.1, maxQueue : 2 },
+        queue : { enabled : true, retryDelay : 60 }
+    });
+    t.after(() => {
+        uptime.destroy();
+        calls.restore();
+    });
+
+    const results = await Promise.allSettled([
+        uptime.pushStatus(200, 1),
+        uptime.pushStatus(200, 2),
+        uptime.pushStatus(200, 3),
+        uptime.pushStatus(200, 4)
+    ]);
+
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'fulfilled', 'rejected']);
+    assert.ok(results[3].reason instanceof TetheredRateLimitError);
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(uptime.queue.length, 1);
+    assert.strictEqual(uptime.queue[0].data.time, 4);
+});